@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * Benchmark: range availability checks
+ *
+ * Usage: node bench/probe.js [start] [end] [concurrency]
+ * Compares a sequential bind sweep with the concurrent PortProbe engine,
+ * with and without a socket-table snapshot.
+ */
+const { PortResolver, PortScanner, PortProbe } = require('../src');
+
+async function time(label, fn) {
+  const started = process.hrtime.bigint();
+  const result = await fn();
+  const ms = Number(process.hrtime.bigint() - started) / 1e6;
+  console.log(`${label.padEnd(34)} ${ms.toFixed(0).padStart(6)} ms   ${result}`);
+  return result;
+}
+
+async function main() {
+  const start = parseInt(process.argv[2] || '3000');
+  const end = parseInt(process.argv[3] || '9000');
+  const concurrency = parseInt(process.argv[4] || PortProbe.DEFAULT_CONCURRENCY);
+  const resolver = new PortResolver({ leases: null, concurrency });
+  const scanner = new PortScanner();
+  const count = end - start + 1;
+
+  console.log(`Checking ${count} ports (${start}-${end}), concurrency ${concurrency}\n`);
+
+  // The sequential sweep is slow; time a slice and extrapolate
+  const sample = Math.min(count, 250);
+  await time(`sequential (${sample} ports)`, async () => {
+    let used = 0;
+    for (let port = start; port < start + sample; port++) {
+      if (!await resolver.isPortAvailable(port)) used++;
+    }
+    return `${used} in use`;
+  });
+
+  await time('concurrent', async () => {
+    const used = await resolver.getUsedPortsInRange(start, end);
+    return `${used.length} in use`;
+  });
+
+  await time('concurrent + snapshot', async () => {
+    const snapshot = await scanner.createSnapshot();
+    const used = await resolver.getUsedPortsInRange(start, end, { snapshot });
+    return `${used.length} in use`;
+  });
+
+  await time('snapshot reused for 100 lookups', async () => {
+    const snapshot = await scanner.createSnapshot();
+    let found = 0;
+    for (let port = start; port < start + 100; port++) {
+      found += (await scanner.scanPort(port, snapshot)).length;
+    }
+    return `${found} listener(s)`;
+  });
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
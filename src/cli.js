@@ -0,0 +1,1274 @@
+#!/usr/bin/env node
+
+const { Command } = require('commander');
+const chalk = require('chalk');
+const { spawn } = require('child_process');
+const path = require('path');
+const {
+  PortScanner,
+  PortResolver,
+  PortManifest,
+  PortWatcher,
+  PortRunner,
+  PortSearch,
+  PortDashboard,
+  PortConfig,
+  ComposeFile,
+  PortWaiter,
+  PortFingerprinter,
+  PortPruner,
+  PortSelector,
+  PortHistory,
+  InvalidArgumentError,
+  KillPolicy,
+  EnvFile,
+  applyPort,
+  waitForPorts,
+  findStaleListeners
+} = require('./index');
+const Output = require('./output');
+
+const { EXIT_CODES } = Output;
+
+const PORT_COLUMNS = ['port', 'pid', 'protocol', 'address', 'state', 'command', 'project', 'framework', 'container.name'];
+const LEASE_COLUMNS = ['port', 'pid', 'owner', 'createdAt', 'expiresAt'];
+const IDENTIFY_COLUMNS = ['port', 'pid', 'address', 'state', 'command', 'fingerprint.protocol', 'fingerprint.summary'];
+const PRUNE_COLUMNS = [
+  'port', 'pid', 'command', 'project', 'age', 'score', 'stale', 'skipped',
+  ['evidence', r => r.evidence.map(e => e.signal)], ['killed', r => (r.result ? r.result.success : null)]
+];
+const HISTORY_COLUMNS = [
+  'timestamp', 'type', 'port', 'pid', 'command', 'args', 'cwd', 'user', 'signal', 'success', 'previousPid', 'previousCommand'
+];
+const HISTORY_SUMMARY_COLUMNS = ['port', 'command', 'kills', 'seen', 'changes', 'first', 'last'];
+const PROFILE_COLUMNS = ['type', 'name', 'source', ['ports', describeProfilePorts], 'description'];
+
+const program = new Command();
+
+program
+  .name('port-resolver')
+  .description('Automatically detects and resolves port conflicts across local development services')
+  .version('1.0.0')
+  .option('-F, --format <format>', `Output format (${Output.FORMATS.join('|')})`, 'table');
+
+program.hook('preAction', () => {
+  try {
+    new Output(program.opts().format);
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(EXIT_CODES.ERROR);
+  }
+});
+
+/**
+ * Create the output for a command; a command's -j flag is shorthand for --format json
+ */
+function createOutput(options = {}) {
+  return new Output(options.json ? 'json' : program.opts().format);
+}
+
+/**
+ * Report an error and exit with the matching code
+ */
+function fail(out, context, error) {
+  out.error(context, error);
+  process.exit(Output.exitCodeFor(error));
+}
+
+/**
+ * Format the ports of a `profiles` record
+ * Framework ports keep their preference order; profile ports collapse into runs.
+ */
+function describeProfilePorts(record) {
+  return record.type === 'framework' ? record.ports.join(', ') : PortConfig.describePorts(record);
+}
+
+/**
+ * Print the config changes made (or planned) by `resolve --apply`
+ */
+function displayApplied(applied) {
+  if (applied.files.length === 0) {
+    console.log(chalk.yellow(`\n  No settings using port ${applied.from} found; nothing to update`));
+    return;
+  }
+
+  const colors = { '+': chalk.green, '-': chalk.red, '@': chalk.cyan };
+  for (const file of applied.files) {
+    console.log();
+    for (const line of file.diff.split('\n')) {
+      const color = line.startsWith('---') || line.startsWith('+++') ? chalk.bold : colors[line[0]];
+      console.log(color ? color(line) : line);
+    }
+  }
+
+  console.log();
+  const framework = applied.framework ? ` (${applied.framework})` : '';
+  if (applied.dryRun) {
+    console.log(chalk.yellow(`Dry run: ${applied.files.length} file(s) would move to port ${applied.to}${framework}`));
+  } else {
+    console.log(chalk.green(`✓ Moved to port ${applied.to}${framework} in ${applied.files.length} file(s); originals saved as *.bak`));
+  }
+}
+
+/**
+ * `kill` with several ports, ranges, profiles or process filters: one
+ * confirmation for every matched process, then a per-port report
+ */
+async function killSelection(targets, options, killOptions, resolver, out) {
+  let selection;
+  try {
+    selection = await new PortSelector({
+      targets, name: options.name, user: options.user, cwd: options.cwd, protocol: options.protocol
+    }).select();
+  } catch (error) {
+    fail(out, 'Error selecting ports:', error);
+  }
+
+  // Policy refusals are known up front, so they are never part of the prompt.
+  // Container ports are left to the resolver: it offers to stop the container
+  // rather than kill the runtime's proxy, which the policy protects.
+  const entries = selection.matched.map((record) => {
+    const entry = { port: record.port, pid: record.pid || null, name: record.command, project: record.project || null };
+    if (!record.pid) {
+      return { ...entry, status: 'skipped', message: 'The process listening on this port is unknown' };
+    }
+    if (record.container && !killOptions.killProxy) {
+      return { ...entry, container: record.container, status: 'pending', message: null };
+    }
+    const verdict = killOptions.policy.check({ port: record.port, pid: record.pid, name: record.command, uid: record.uid });
+    return { ...entry, status: verdict.allowed ? 'pending' : 'skipped', message: verdict.allowed ? null : `Refused: ${verdict.reason}` };
+  });
+  for (const port of selection.idle) {
+    entries.push({ port, pid: null, name: null, project: null, status: 'skipped', message: 'No process found on this port' });
+  }
+  entries.sort((a, b) => a.port - b.port);
+
+  const pending = entries.filter(e => e.status === 'pending');
+
+  // A container is stopped once, however many of its ports matched
+  const stops = new Map();
+  const kills = pending.filter((entry) => {
+    if (!entry.container) {
+      return true;
+    }
+    if (stops.has(entry.container.id)) {
+      return false;
+    }
+    stops.set(entry.container.id, entry);
+    return true;
+  });
+
+  if (kills.length > 0 && !options.force && !options.dryRun) {
+    const processes = kills.length - stops.size;
+    const plan = [processes && `kill ${processes} process(es)`, stops.size && `stop ${stops.size} container(s)`];
+    console.log(chalk.yellow(`About to ${plan.filter(Boolean).join(' and ')}:`));
+    for (const entry of entries) {
+      const owner = entry.container
+        ? `stop container ${entry.container.name} (${entry.container.image})`
+        : `${entry.name || 'unknown'} (PID: ${entry.pid || 'N/A'})`;
+      console.log(entry.status === 'pending'
+        ? `  ${String(entry.port).padEnd(6)} ${owner}${entry.project ? chalk.gray(`  ${entry.project}`) : ''}`
+        : chalk.gray(`  ${String(entry.port).padEnd(6)} skipped: ${entry.message}`));
+    }
+    if (!await resolver.askConfirmation('Proceed? (y/N): ')) {
+      out.info(chalk.yellow('Cancelled'));
+      process.exit(EXIT_CODES.CANCELLED);
+    }
+  }
+
+  try {
+    // Kill exactly the confirmed PIDs; the kill policy is still applied to each
+    const results = await resolver.killProcesses(kills.map(e => ({ port: e.port, pid: e.pid })), true, killOptions);
+    results.forEach((result, i) => {
+      const entry = kills[i];
+      if (result.dryRun) {
+        entry.status = 'dry-run';
+        entry.message = result.signals
+          ? `would send ${result.signals.join(' → ')} to PID(s) ${result.targets.join(', ')}`
+          : result.message;
+      } else if (result.success) {
+        entry.status = 'killed';
+        entry.message = result.container ? `stopped container ${result.container.name}` : `signal ${result.signal}`;
+      } else {
+        entry.status = result.refused || result.gone ? 'skipped' : 'failed';
+        entry.message = result.message;
+      }
+    });
+
+    for (const entry of pending.filter(e => !kills.includes(e))) {
+      const first = stops.get(entry.container.id);
+      entry.status = first.status;
+      entry.message = `${first.message} (with port ${first.port})`;
+    }
+  } catch (error) {
+    fail(out, 'Error killing ports:', error);
+  }
+
+  const count = status => entries.filter(e => e.status === status).length;
+  out.print(entries, {
+    columns: ['port', 'pid', 'name', 'project', 'status', 'message'],
+    render: () => {
+      if (entries.length === 0) {
+        console.log(chalk.yellow('No matching processes found.'));
+        return;
+      }
+
+      const styles = {
+        killed: [chalk.green, '✓'], 'dry-run': [chalk.blue, '•'], skipped: [chalk.gray, '-'], failed: [chalk.red, '✗']
+      };
+      console.log();
+      for (const entry of entries) {
+        const [color, icon] = styles[entry.status];
+        const owner = entry.pid ? `${entry.name || 'unknown'} (PID: ${entry.pid})` : '-';
+        console.log(color(`${icon} ${String(entry.port).padEnd(6)} ${owner.padEnd(28)} ${entry.status}: ${entry.message}`));
+      }
+      const done = options.dryRun ? `Would kill ${count('dry-run')}` : `Killed ${count('killed')}`;
+      console.log(chalk.gray(`\n${done}, skipped ${count('skipped')}, failed ${count('failed')}`));
+    }
+  });
+
+  if (count('failed') > 0) {
+    process.exit(EXIT_CODES.IN_USE);
+  } else if (entries.every(e => e.status === 'skipped' && !e.pid)) {
+    process.exit(EXIT_CODES.FREE);
+  } else if (count('killed') === 0 && count('dry-run') === 0) {
+    process.exit(EXIT_CODES.PERMISSION_DENIED);
+  }
+}
+
+program
+  .command('scan')
+  .description('Scan for ports in use')
+  .option('-p, --port <port>', 'Scan specific port')
+  .option('-r, --range <range>', 'Scan port range (e.g., 3000-4000)')
+  .option('-P, --protocol <protocol>', 'Only show tcp or udp sockets')
+  .option('--profile <name>', 'Scan the ports of a named profile (see `profiles`)', 'common')
+  .option('-j, --json', 'Output as JSON (same as --format json)')
+  .option('--no-details', 'Skip project and framework detection')
+  .option('--identify', 'Fingerprint each TCP listener (HTTP, TLS, Postgres, MySQL, Redis, ...)')
+  .action(async (options) => {
+    const scanner = new PortScanner();
+    const out = createOutput(options);
+
+    try {
+      let ports;
+      if (options.port) {
+        ports = await scanner.scanPort(parseInt(options.port));
+      } else if (options.range) {
+        const [start, end] = options.range.split('-').map(Number);
+        ports = await scanner.scanRange(start, end);
+      } else {
+        ports = await scanner.scanProfile(options.profile);
+      }
+
+      ports = scanner.filterByProtocol(ports, options.protocol && PortResolver.parseProtocol(options.protocol));
+
+      if (options.identify) {
+        await scanner.identifyPorts(ports);
+      }
+      if (options.details) {
+        await scanner.enrichPorts(ports);
+      }
+
+      const columns = options.identify ? [...PORT_COLUMNS, 'fingerprint.protocol', 'fingerprint.summary'] : PORT_COLUMNS;
+      out.print(ports, { columns, render: () => scanner.displayPorts(ports) });
+    } catch (error) {
+      fail(out, 'Error scanning ports:', error);
+    }
+  });
+
+program
+  .command('identify')
+  .description('Fingerprint what answers on listening ports (HTTP, TLS, Postgres, MySQL, Redis, MongoDB, WebSocket)')
+  .argument('[targets...]', 'Ports or ranges (default: every listening TCP port)')
+  .option('-t, --timeout <ms>', 'Timeout for each probe in milliseconds', '500')
+  .option('-j, --json', 'Output as JSON (same as --format json)')
+  .action(async (targets, options) => {
+    const out = createOutput(options);
+
+    try {
+      const scanner = new PortScanner({ fingerprinter: new PortFingerprinter({ timeout: parseInt(options.timeout) }) });
+      const snapshot = await scanner.createSnapshot();
+      let ports;
+
+      if (targets.length > 0) {
+        ports = snapshot.scanPorts(PortWaiter.parsePorts(targets), 'tcp');
+        // Ports named explicitly are probed even when the socket table can't see
+        // them (e.g. another user's process on macOS)
+        for (const target of targets.filter(t => /^\d+$/.test(t))) {
+          if (!ports.some(p => p.port === parseInt(target))) {
+            ports.push({ port: parseInt(target), pid: null, protocol: 'tcp', address: '127.0.0.1', state: 'FREE' });
+          }
+        }
+      } else {
+        ports = snapshot.scanRange(1, 65535, 'tcp');
+      }
+
+      await scanner.identifyPorts(ports);
+      for (const p of ports.filter(r => r.state === 'FREE')) {
+        // Invisible in the socket table, yet something answered
+        if (p.fingerprint && !p.fingerprint.details.error) {
+          p.state = 'LISTENING';
+        }
+      }
+      out.print(ports, { columns: IDENTIFY_COLUMNS, render: () => scanner.displayPorts(ports) });
+    } catch (error) {
+      fail(out, 'Error identifying ports:', error);
+    }
+  });
+
+program
+  .command('kill')
+  .description('Kill processes on ports, ranges or a profile, optionally filtered by process name, user or directory')
+  .argument('[targets...]', 'Ports, ranges (3000-3010) or profile names (common)')
+  .option('--name <name>', 'Only processes whose name contains this')
+  .option('--user <user>', 'Only processes owned by this user ("me", a name or a uid)')
+  .option('--cwd <dir>', 'Only processes running in this directory or below')
+  .option('-f, --force', 'Force kill without confirmation')
+  .option('-s, --signals <stages>', 'Signal escalation as SIGNAL:timeoutMs pairs', 'INT:1000,TERM:3000,KILL:2000')
+  .option('-t, --tree', 'Kill the whole process tree, not just the listener')
+  .option('-g, --group', 'Kill the listener\'s process group')
+  .option('-n, --dry-run', 'Show what would be killed without killing anything')
+  .option('--allow-protected', 'Allow killing protected processes (sshd, postgres, ...)')
+  .option('--allow-other-users', 'Allow killing processes owned by other users')
+  .option('--allow-system', 'Allow killing processes owned by root or system accounts, even as root')
+  .option('--allow-privileged', 'Allow killing processes on ports below 1024')
+  .option('--kill-proxy', 'Kill the container runtime proxy instead of stopping the container')
+  .option('-P, --protocol <protocol>', 'Kill listeners of this protocol: tcp, udp or both', 'tcp')
+  .action(async (targets, options) => {
+    const out = createOutput(options);
+
+    let resolver;
+    let killOptions;
+    try {
+      // The prompt would end up in the middle of the JSON/CSV on stdout
+      if (!out.isHuman && !options.force && !options.dryRun) {
+        throw new InvalidArgumentError('Machine-readable output cannot prompt; pass --force or --dry-run');
+      }
+      resolver = new PortResolver({ protocol: options.protocol });
+      killOptions = {
+        stages: PortResolver.parseKillStages(options.signals),
+        tree: options.tree,
+        group: options.group,
+        dryRun: options.dryRun,
+        killProxy: options.killProxy,
+        policy: new KillPolicy({
+          allowProtected: options.allowProtected,
+          allowOtherUsers: options.allowOtherUsers,
+          allowSystem: options.allowSystem,
+          allowPrivilegedPorts: options.allowPrivileged
+        })
+      };
+    } catch (error) {
+      fail(out, 'Error killing port:', error);
+    }
+
+    // Anything but a single plain port goes through the batch flow
+    if (targets.length !== 1 || !/^\d+$/.test(targets[0]) || options.name || options.user || options.cwd) {
+      await killSelection(targets, options, killOptions, resolver, out);
+      return;
+    }
+
+    const port = targets[0];
+    try {
+      const result = await resolver.killPort(parseInt(port), options.force, killOptions);
+
+      out.print({ port: parseInt(port), ...result }, {
+        columns: ['port', 'success', 'pid', 'name', 'signal', 'message'],
+        render: () => {
+          if (result.dryRun && result.container) {
+            console.log(chalk.blue(result.message));
+          } else if (result.dryRun) {
+            const kind = result.group ? 'process group(s)' : 'PID(s)';
+            console.log(chalk.blue(`Dry run: would kill ${result.name} (PID: ${result.pid}) on port ${port}`));
+            console.log(chalk.gray(`  ${kind}: ${result.targets.join(', ')}`));
+            console.log(chalk.gray(`  Signals: ${result.signals.join(' → ')}`));
+          } else if (result.refused) {
+            console.log(chalk.red(`✗ ${result.message}`));
+            console.log(chalk.gray(`  PID: ${result.pid}, Name: ${result.name}`));
+          } else if (result.success && result.container) {
+            console.log(chalk.green(`✓ Stopped container ${result.container.name} publishing port ${port}`));
+            console.log(chalk.gray(`  Image: ${result.container.image}, Runtime: ${result.container.runtime}`));
+          } else if (result.success) {
+            console.log(chalk.green(`✓ Successfully killed process on port ${port}`));
+            console.log(chalk.gray(`  PID: ${result.pid}, Name: ${result.name}, Signal: ${result.signal}`));
+          } else if (result.pid && result.message !== 'Cancelled by user') {
+            console.log(chalk.red(`✗ Could not free port ${port}: ${result.message}`));
+            console.log(chalk.gray(`  PID: ${result.pid}, Name: ${result.name}`));
+          } else {
+            console.log(chalk.yellow(`${result.message}: ${port}`));
+          }
+        }
+      });
+
+      if (result.refused) {
+        process.exit(EXIT_CODES.PERMISSION_DENIED);
+      } else if (result.message === 'Cancelled by user') {
+        process.exit(EXIT_CODES.CANCELLED);
+      } else if (!result.pid) {
+        process.exit(EXIT_CODES.FREE);
+      } else if (!result.success && !result.dryRun) {
+        process.exit(EXIT_CODES.IN_USE);
+      }
+    } catch (error) {
+      fail(out, 'Error killing port:', error);
+    }
+  });
+
+program
+  .command('resolve')
+  .description('Resolve port conflict by finding an alternative port')
+  .argument('<port>', 'Port that has conflict')
+  .option('-a, --allocate <port>', 'Try to allocate specific port')
+  .option('-c, --check', 'Check if port is available')
+  .option('-H, --host <host>', 'Bind address to check (default: all local interfaces, IPv4 and IPv6)')
+  .option('-P, --protocol <protocol>', 'Protocol to check: tcp, udp or both', 'tcp')
+  .option('-s, --strategy <strategy>', 'Search strategy: up, nearest, random or os', 'up')
+  .option('-r, --range <range>', 'Only suggest ports in this range (e.g., 3000-3999)')
+  .option('-x, --exclude <ports>', 'Never suggest these ports (comma-separated)')
+  .option('--skip-well-known', 'Skip well-known service ports (databases, brokers...)')
+  .option('--skip-ephemeral', 'Skip the OS ephemeral port range')
+  .option('--seed <seed>', 'Seed for the random strategy, for reproducible picks')
+  .option('--max-attempts <n>', 'Ports to consider when no range is given', '100')
+  .option('--apply', 'Rewrite the project config (.env, vite.config.*, package.json, angular.json) to use the new port')
+  .option('-d, --dir <dir>', 'Project directory for --apply', process.cwd())
+  .option('--dry-run', 'With --apply, show the diff without writing')
+  .action(async (port, options) => {
+    const out = createOutput(options);
+    let resolver;
+    let search;
+    try {
+      resolver = new PortResolver({ host: options.host, protocol: options.protocol });
+      search = {
+        strategy: options.strategy,
+        range: options.range,
+        exclude: options.exclude ? options.exclude.split(',').map(p => parseInt(p.trim())) : [],
+        skipWellKnown: options.skipWellKnown,
+        skipEphemeral: options.skipEphemeral,
+        seed: options.seed
+      };
+      // Validate the search options before probing anything
+      new PortSearch(search);
+    } catch (error) {
+      fail(out, 'Error resolving port:', error);
+    }
+    const scanner = new PortScanner();
+    const reasons = {
+      EADDRINUSE: 'is in use',
+      EACCES: 'needs elevated permissions (EACCES)',
+      EADDRNOTAVAIL: `cannot be bound: address ${options.host} is not available on this machine (EADDRNOTAVAIL)`
+    };
+
+    try {
+      const targetPort = parseInt(options.allocate || port);
+      const { available, reason, hosts } = await resolver.checkPort(targetPort);
+      const holders = reason === 'EADDRINUSE' ? await scanner.scanPort(targetPort) : [];
+      let suggestion = null;
+      let applied = null;
+      if (!available && !options.check) {
+        if (options.apply) {
+          applied = await applyPort(targetPort, {
+            ...search,
+            host: options.host,
+            protocol: options.protocol,
+            maxAttempts: parseInt(options.maxAttempts),
+            dir: options.dir,
+            dryRun: options.dryRun
+          });
+          suggestion = applied.to;
+        } else {
+          suggestion = await resolver.findAvailablePort(targetPort, parseInt(options.maxAttempts), search);
+        }
+      }
+      const result = { port: targetPort, available, reason, hosts, suggestion, holders, applied };
+      const unavailable = reasons[reason] || `is not available (${reason})`;
+
+      out.print(result, {
+        columns: [
+          'port', 'available', 'reason', 'suggestion',
+          ['holders', r => r.holders.map(h => h.pid)],
+          ['applied', r => (r.applied ? r.applied.files.map(f => path.basename(f.file)) : [])]
+        ],
+        render: () => {
+          if (options.check) {
+            if (available) {
+              console.log(chalk.green(`✓ Port ${targetPort} is available`));
+            } else {
+              console.log(chalk.red(`✗ Port ${targetPort} ${unavailable}`));
+              if (holders.length > 0) {
+                scanner.displayPorts(holders);
+              }
+            }
+          } else if (options.allocate) {
+            if (available) {
+              console.log(chalk.green(`✓ Port ${targetPort} is available and ready to use`));
+            } else {
+              console.log(chalk.red(`✗ Port ${targetPort} ${unavailable}`));
+              console.log(chalk.yellow(`  Suggestion: Try port ${suggestion}`));
+              if (holders.length > 0) {
+                scanner.displayPorts(holders);
+              }
+            }
+          } else if (available) {
+            console.log(chalk.green(`Port ${targetPort} is available.`));
+          } else {
+            console.log(chalk.green(`Port ${targetPort} ${unavailable}.`));
+            console.log(chalk.blue(`  Suggested alternative: ${suggestion}`));
+          }
+
+          if (applied) {
+            displayApplied(applied);
+          }
+        }
+      });
+
+      if (!available && (options.check || options.allocate)) {
+        const codes = { EADDRINUSE: EXIT_CODES.IN_USE, EACCES: EXIT_CODES.PERMISSION_DENIED };
+        process.exit(codes[reason] || EXIT_CODES.ERROR);
+      }
+    } catch (error) {
+      fail(out, 'Error resolving port:', error);
+    }
+  });
+
+program
+  .command('watch')
+  .description('Watch ports, ranges or the common-port set and report changes')
+  .argument('[targets...]', 'Ports, ranges (3000-3010) or "common"', ['common'])
+  .option('-i, --interval <seconds>', 'Check interval in seconds', '5')
+  .option('-x, --exec <command>', 'Run a shell command on each event (PORT_EVENT, PORT_NUMBER, PORT_PID, PORT_COMMAND are set)')
+  .option('--no-history', 'Do not record the snapshot and events in the history log')
+  .action(async (targets, options) => {
+    const out = createOutput(options);
+    let watcher;
+    try {
+      watcher = new PortWatcher({
+        ...PortWatcher.parseTargets(targets),
+        interval: parseFloat(options.interval) * 1000,
+        history: options.history ? new PortHistory() : null
+      });
+    } catch (error) {
+      fail(out, 'Error watching ports:', error);
+    }
+
+    const colors = { opened: chalk.yellow, closed: chalk.green, changed: chalk.magenta };
+
+    watcher.on('event', (event) => {
+      out.event(event, {
+        columns: ['timestamp', 'type', 'port', 'pid', 'command', 'previousPid', 'previousCommand'],
+        render: () => {
+          const time = new Date(event.timestamp).toLocaleTimeString();
+          const owner = `${event.command || 'unknown'} (PID: ${event.pid || 'N/A'})`;
+          let message;
+          if (event.type === 'opened') {
+            message = `Port ${event.port} opened by ${owner}`;
+          } else if (event.type === 'closed') {
+            message = `Port ${event.port} closed, was ${owner}`;
+          } else {
+            message = `Port ${event.port} changed owner: ${event.previousCommand || 'unknown'} (PID: ${event.previousPid || 'N/A'}) → ${owner}`;
+          }
+          console.log(colors[event.type](`[${time}] ${message}`));
+        }
+      });
+
+      if (options.exec) {
+        spawn(options.exec, {
+          shell: true,
+          // Keep our stdout a clean event stream in machine-readable formats
+          stdio: out.isHuman ? 'inherit' : ['ignore', process.stderr, process.stderr],
+          env: {
+            ...process.env,
+            PORT_EVENT: event.type,
+            PORT_NUMBER: String(event.port),
+            PORT_PID: String(event.pid || ''),
+            PORT_COMMAND: event.command
+          }
+        });
+      }
+    });
+
+    watcher.on('error', (error) => {
+      out.error('Error scanning ports:', error);
+    });
+
+    watcher.on('ready', (ports) => {
+      if (out.isHuman) {
+        console.log(chalk.blue(`Watching ${targets.join(', ')}... (Press Ctrl+C to stop)`));
+        console.log(chalk.gray(`Check interval: ${options.interval} seconds`));
+        new PortScanner().displayPorts(ports);
+      }
+    });
+
+    process.on('SIGINT', () => {
+      watcher.stop();
+      out.info(chalk.gray('\n\nStopped watching.'));
+      process.exit(EXIT_CODES.OK);
+    });
+
+    try {
+      await watcher.start();
+    } catch (error) {
+      fail(out, 'Error watching ports:', error);
+    }
+  });
+
+program
+  .command('wait')
+  .description('Wait until ports are listening (or free), e.g. before starting dependent services')
+  .argument('<ports...>', 'Ports or ranges (3000-3002)')
+  .option('-u, --until <state>', 'State to wait for: listening or free', 'listening')
+  .option('-t, --timeout <duration>', 'Give up after this long (500ms, 30s, 2m; 0 waits forever)', '30s')
+  .option('-i, --interval <duration>', 'Time between checks', '250ms')
+  .option('-H, --host <host>', 'Host to check; remote hosts are checked with a TCP connect')
+  .option('-P, --protocol <protocol>', 'Protocol to check: tcp, udp or both', 'tcp')
+  .option('--http [path]', 'Also require an HTTP response from listening ports (default path: /)')
+  .option('--status <codes>', 'Accepted HTTP statuses (200, 2xx, 200-399, 200,204)', '200-399')
+  .option('--any', 'Succeed as soon as one port is ready (default: all of them)')
+  .option('-j, --json', 'Output as JSON (same as --format json)')
+  .action(async (ports, options) => {
+    const out = createOutput(options);
+    const columns = ['port', 'ready', 'state', 'status', 'readyAfter', ['holders', r => r.holders.map(h => h.pid)]];
+
+    try {
+      const result = await waitForPorts(ports, {
+        until: options.until,
+        mode: options.any ? 'any' : 'all',
+        timeout: options.timeout,
+        interval: options.interval,
+        host: options.host,
+        protocol: options.protocol,
+        http: options.http,
+        status: options.status
+      });
+
+      out.print(result.ports, {
+        columns,
+        render: () => {
+          for (const state of result.ports.filter(s => s.ready)) {
+            const status = state.status !== null ? `, HTTP ${state.status}` : '';
+            console.log(chalk.green(`✓ Port ${state.port} is ${result.until}${status} (after ${state.readyAfter}ms)`));
+          }
+        }
+      });
+    } catch (error) {
+      // Scripts still get the per-port state of a timed-out wait
+      if (error.code === 'ETIMEOUT' && !out.isHuman) {
+        out.print(error.ports, { columns });
+      }
+      fail(out, 'Error waiting for ports:', error);
+    }
+  });
+
+program
+  .command('prune')
+  .description('Find forgotten dev-server listeners (orphaned, deleted cwd, duplicates, old) and kill them')
+  .option('-a, --max-age <duration>', 'Count processes running longer than this as old (e.g. 30m, 12h, 48h)', '12h')
+  .option('-w, --workspace <dirs>', 'Comma-separated project roots; listeners outside them count as evidence')
+  .option('-p, --ports <ports>', 'Only kill these of the stale listeners (comma-separated)')
+  .option('--all', 'Also list listeners that look fine or are skipped')
+  .option('-n, --dry-run', 'Show the evidence without killing anything')
+  .option('-y, --yes', 'Kill without asking for confirmation')
+  .option('-j, --json', 'Output as JSON (same as --format json)')
+  .action(async (options) => {
+    const out = createOutput(options);
+    // Stale listeners can be TCP or UDP
+    const resolver = new PortResolver({ protocol: 'both' });
+
+    let records;
+    let selected;
+    try {
+      if (!out.isHuman && !options.yes && !options.dryRun) {
+        throw new InvalidArgumentError('Machine-readable output cannot prompt; pass --yes or --dry-run');
+      }
+
+      records = await findStaleListeners({
+        maxAge: options.maxAge,
+        workspaces: options.workspace ? options.workspace.split(',').map(dir => dir.trim()) : []
+      });
+
+      const only = options.ports ? options.ports.split(',').map(p => parseInt(p.trim())) : null;
+      selected = records.filter(r => r.stale && (!only || only.includes(r.port)));
+    } catch (error) {
+      fail(out, 'Error finding stale listeners:', error);
+    }
+
+    const listed = options.all ? records : records.filter(r => r.stale);
+    const age = r => (r.age !== null ? `up ${PortPruner.formatAge(r.age)}` : null);
+
+    if (out.isHuman) {
+      if (listed.length === 0) {
+        console.log(chalk.green('No stale listeners found.'));
+      }
+      for (const record of listed) {
+        const about = [record.project, record.framework, age(record)].filter(Boolean).join(' · ');
+        const marker = record.stale ? chalk.red('✗') : chalk.green('✓');
+        console.log(`${marker} ${chalk.bold(String(record.port).padEnd(6))} ${record.command} (PID: ${record.pid})  ${chalk.gray(about)}`);
+        if (record.skipped) {
+          console.log(chalk.gray(`    skipped: ${record.skipped}`));
+        }
+        for (const evidence of record.evidence) {
+          console.log(chalk.yellow(`    - ${evidence.detail}`));
+        }
+      }
+    }
+
+    if (selected.length === 0 || options.dryRun) {
+      out.print(listed, { columns: PRUNE_COLUMNS, render: () => {} });
+      return;
+    }
+
+    const ports = [...new Set(selected.map(r => r.port))];
+    if (!options.yes) {
+      const confirmed = await resolver.askConfirmation(
+        `\nKill ${selected.length} stale listener(s) on port(s) ${ports.join(', ')}? (y/N): `
+      );
+      if (!confirmed) {
+        out.info(chalk.yellow('Cancelled'));
+        process.exit(EXIT_CODES.CANCELLED);
+      }
+    }
+
+    try {
+      // Kill the classified PIDs only, each checked to still hold its port;
+      // already confirmed as a batch, the kill policy still applies to each
+      const results = await resolver.killProcesses(
+        selected.map(r => ({ port: r.port, pid: r.pid })), true, { policy: new KillPolicy() }
+      );
+      selected.forEach((record, i) => {
+        record.result = results[i];
+      });
+
+      out.print(listed, {
+        columns: PRUNE_COLUMNS,
+        render: () => {
+          console.log();
+          for (const result of results) {
+            console.log(result.success
+              ? chalk.green(`✓ Killed ${result.name} (PID: ${result.pid}) on port ${result.port}`)
+              : result.gone
+                ? chalk.gray(`- Port ${result.port}: ${result.message}`)
+                : chalk.red(`✗ Port ${result.port}: ${result.message}`));
+          }
+        }
+      });
+
+      if (results.some(r => !r.success && !r.gone)) {
+        process.exit(EXIT_CODES.IN_USE);
+      }
+    } catch (error) {
+      fail(out, 'Error killing stale listeners:', error);
+    }
+  });
+
+program
+  .command('check')
+  .description('Check every service in the port manifest (.portsrc) for conflicts')
+  .option('-m, --manifest <file>', 'Path to manifest file (default: nearest .portsrc)')
+  .option('-P, --protocol <protocol>', 'Default protocol to check: tcp, udp or both', 'tcp')
+  .option('-j, --json', 'Output as JSON (same as --format json)')
+  .action(async (options) => {
+    const scanner = new PortScanner();
+    const out = createOutput(options);
+
+    try {
+      const resolver = new PortResolver({ protocol: options.protocol });
+      const manifest = PortManifest.load(options.manifest);
+      const results = await manifest.check(resolver, scanner);
+      const conflicts = results.filter(r => r.conflict);
+
+      out.print(results, {
+        columns: [
+          'name', 'port', 'available', 'conflict', 'collidesWith',
+          ['holders', r => r.holders.map(h => h.pid)], 'fallback'
+        ],
+        render: () => {
+          console.log(chalk.gray(`Manifest: ${manifest.file}\n`));
+
+          for (const r of results) {
+            if (!r.conflict) {
+              console.log(chalk.green(`✓ ${r.name}: port ${r.port} is available`));
+              continue;
+            }
+
+            console.log(chalk.red(`✗ ${r.name}: port ${r.port} has a conflict`));
+            if (r.collidesWith.length > 0) {
+              console.log(chalk.yellow(`  Also claimed by: ${r.collidesWith.join(', ')}`));
+            }
+            if (!r.available) {
+              const holders = r.holders.length > 0
+                ? r.holders.map(h => `${h.command || 'unknown'} (PID: ${h.pid || 'N/A'})`).join(', ')
+                : 'unknown process';
+              console.log(chalk.yellow(`  Held by: ${holders}`));
+            }
+            if (r.fallback) {
+              console.log(chalk.blue(`  Fallback available: ${r.fallback}`));
+            } else {
+              console.log(chalk.gray(`  No free port in fallback range ${r.range.start}-${r.range.end}`));
+            }
+          }
+
+          console.log(`\n ${results.length} service(s) checked, ${conflicts.length} conflict(s)`);
+        }
+      });
+
+      if (conflicts.length > 0) {
+        process.exit(EXIT_CODES.IN_USE);
+      }
+    } catch (error) {
+      fail(out, 'Error checking manifest:', error);
+    }
+  });
+
+program
+  .command('allocate')
+  .description('Assign a free port to every service in the manifest and write them to a .env file')
+  .option('-m, --manifest <file>', 'Path to manifest file (default: nearest .portsrc)')
+  .option('-o, --output <file>', 'Env file to write', '.env')
+  .option('-e, --export', 'Print shell export lines instead of writing a file')
+  .option('-P, --protocol <protocol>', 'Default protocol to check: tcp, udp or both', 'tcp')
+  .option('-j, --json', 'Output as JSON (same as --format json)')
+  .action(async (options) => {
+    const out = createOutput(options);
+
+    try {
+      // Export lines are shell, not records; they can't be JSON or CSV
+      if (options.export && !['table', 'plain'].includes(out.format)) {
+        throw new InvalidArgumentError(`--export prints shell export lines and cannot be combined with --format ${out.format}`);
+      }
+      const resolver = new PortResolver({ protocol: options.protocol });
+      const manifest = PortManifest.load(options.manifest);
+      const allocations = await manifest.allocate(resolver);
+      const values = allocations.reduce((acc, a) => {
+        acc[a.env] = a.port;
+        return acc;
+      }, {});
+
+      if (options.export) {
+        console.log(EnvFile.toExports(values));
+        return;
+      }
+
+      EnvFile.update(options.output, values);
+
+      out.print(allocations, {
+        columns: ['name', 'env', 'preferred', 'port', 'moved'],
+        render: () => {
+          for (const a of allocations) {
+            if (a.moved) {
+              console.log(chalk.yellow(`→ ${a.name}: ${a.env}=${a.port} (preferred ${a.preferred} is taken)`));
+            } else {
+              console.log(chalk.green(`✓ ${a.name}: ${a.env}=${a.port}`));
+            }
+          }
+          console.log(chalk.gray(`\nWrote ${allocations.length} port(s) to ${options.output}`));
+        }
+      });
+    } catch (error) {
+      fail(out, 'Error allocating ports:', error);
+    }
+  });
+
+program
+  .command('reserve')
+  .description('Find a free port and lease it so parallel lookups skip it')
+  .argument('[port]', 'Preferred starting port', '3000')
+  .option('-o, --owner <name>', 'Name of the lease owner', 'cli')
+  .option('-t, --ttl <seconds>', 'Lease lifetime in seconds', '3600')
+  .requiredOption('--pid <pid>', 'PID that owns the lease; it ends when that process exits (e.g. $$ for your shell)')
+  .option('-j, --json', 'Output as JSON (same as --format json)')
+  .action(async (port, options) => {
+    const resolver = new PortResolver();
+    const out = createOutput(options);
+
+    try {
+      const lease = await resolver.reservePort(parseInt(port), {
+        owner: options.owner,
+        ttl: parseInt(options.ttl),
+        // The CLI exits right away and npm/npx wrappers soon after, so the
+        // owning process has to be named explicitly
+        pid: parseInt(options.pid)
+      });
+
+      out.print(lease, {
+        columns: LEASE_COLUMNS,
+        render: () => {
+          console.log(chalk.green(`✓ Reserved port ${lease.port}`));
+          console.log(chalk.gray(`  Owner: ${lease.owner}, PID: ${lease.pid}, Expires: ${lease.expiresAt}`));
+        }
+      });
+    } catch (error) {
+      fail(out, 'Error reserving port:', error);
+    }
+  });
+
+program
+  .command('release')
+  .description('Release a leased port')
+  .argument('<port>', 'Port number')
+  .action(async (port, options) => {
+    const resolver = new PortResolver();
+    const out = createOutput(options);
+
+    try {
+      const lease = await resolver.releasePort(parseInt(port));
+
+      out.print({ port: parseInt(port), released: Boolean(lease), lease }, {
+        columns: ['port', 'released', 'lease.owner', 'lease.pid'],
+        render: () => {
+          if (lease) {
+            console.log(chalk.green(`✓ Released port ${port}`));
+            console.log(chalk.gray(`  Owner: ${lease.owner}, PID: ${lease.pid}`));
+          } else {
+            console.log(chalk.yellow(`No lease found for port ${port}`));
+          }
+        }
+      });
+
+      if (!lease) {
+        process.exit(EXIT_CODES.FREE);
+      }
+    } catch (error) {
+      fail(out, 'Error releasing port:', error);
+    }
+  });
+
+program
+  .command('leases')
+  .description('List active port leases')
+  .option('-j, --json', 'Output as JSON (same as --format json)')
+  .action(async (options) => {
+    const resolver = new PortResolver();
+    const out = createOutput(options);
+
+    try {
+      const leases = await resolver.getLeases();
+
+      out.print(leases, {
+        columns: LEASE_COLUMNS,
+        render: () => {
+          if (leases.length === 0) {
+            console.log('No active leases.');
+            return;
+          }
+
+          console.log('\n' + '═'.repeat(70));
+          console.log(' Port    PID       Owner                Expires');
+          console.log('═'.repeat(70));
+          for (const l of leases) {
+            console.log(` ${String(l.port).padEnd(7)} ${String(l.pid).padEnd(9)} ${String(l.owner).padEnd(20)} ${l.expiresAt}`);
+          }
+          console.log('═'.repeat(70));
+          console.log(` Total: ${leases.length} lease(s)\n`);
+        }
+      });
+    } catch (error) {
+      fail(out, 'Error listing leases:', error);
+    }
+  });
+
+program
+  .command('history')
+  .description('Query the occupancy history and kill audit log by port, process or time window')
+  .argument('[targets...]', 'Ports, ranges (3000-3010) or profile names (common)')
+  .option('-p, --process <name>', 'Only entries whose process name or command line contains this, or a PID')
+  .option('-s, --since <time>', 'Start of the window: 30m, 2h, 1d ago, 09:30 today, or a date')
+  .option('-u, --until <time>', 'End of the window (same forms as --since)')
+  .option('-t, --type <types>', 'Comma-separated entry types: kill, snapshot, opened, closed, changed')
+  .option('-l, --limit <count>', 'Show only the newest entries (0 for all)', '50')
+  .option('--summary', 'Group by port and process: kills, sightings and owner changes')
+  .option('-j, --json', 'Output as JSON (same as --format json)')
+  .action(async (targets, options) => {
+    const out = createOutput(options);
+
+    let rows;
+    try {
+      const { ports, ranges, profiles } = PortSelector.parseTargets(targets);
+      const config = profiles.length > 0 ? PortConfig.load() : null;
+      rows = await new PortHistory().query({
+        ports,
+        ranges,
+        profiles: profiles.map(name => config.getProfile(name)),
+        process: options.process,
+        since: options.since,
+        until: options.until,
+        types: options.type,
+        limit: options.summary ? 0 : parseInt(options.limit)
+      });
+    } catch (error) {
+      fail(out, 'Error reading history:', error);
+    }
+
+    if (options.summary) {
+      const summary = PortHistory.summarize(rows);
+      out.print(summary, {
+        columns: HISTORY_SUMMARY_COLUMNS,
+        render: () => {
+          if (summary.length === 0) {
+            console.log('No history entries found.');
+            return;
+          }
+
+          console.log('\n' + '═'.repeat(80));
+          console.log(' Port    Process              Kills  Seen  Changes  Last seen');
+          console.log('═'.repeat(80));
+          for (const g of summary) {
+            const line = ` ${String(g.port).padEnd(7)} ${(g.command || 'unknown').padEnd(20)} ${String(g.kills).padEnd(6)} ${String(g.seen).padEnd(5)} ${String(g.changes).padEnd(8)} ${new Date(g.last).toLocaleString()}`;
+            console.log(g.kills > 0 ? chalk.red(line) : line);
+          }
+          console.log('═'.repeat(80) + '\n');
+        }
+      });
+      return;
+    }
+
+    const colors = { kill: chalk.red, opened: chalk.yellow, closed: chalk.green, changed: chalk.magenta, snapshot: chalk.gray };
+    out.print(rows, {
+      columns: HISTORY_COLUMNS,
+      render: () => {
+        if (rows.length === 0) {
+          console.log('No history entries found.');
+          return;
+        }
+
+        for (const row of rows) {
+          const owner = `${row.command || 'unknown'} (PID: ${row.pid || 'N/A'})`;
+          let detail = owner;
+          if (row.type === 'kill') {
+            const outcome = row.success ? `freed with ${row.signal || 'container stop'}` : `failed: ${row.message}`;
+            detail = `${owner} ${outcome}${row.user ? ` by ${row.user}` : ''}${row.cwd ? chalk.gray(`  ${row.cwd}`) : ''}`;
+          } else if (row.type === 'changed') {
+            detail = `${row.previousCommand || 'unknown'} (PID: ${row.previousPid || 'N/A'}) → ${owner}`;
+          }
+          const time = new Date(row.timestamp).toLocaleString();
+          console.log(`${chalk.gray(`[${time}]`)} ${String(row.port).padEnd(6)} ${colors[row.type](row.type.padEnd(8))} ${detail}`);
+        }
+      }
+    });
+  });
+
+program
+  .command('compose')
+  .description('Check the host ports published by compose files against listening ports and each other')
+  .argument('[files...]', 'Compose files (default: compose.yaml / docker-compose.yml in this or a parent directory)')
+  .option('-s, --suggest', 'Suggest a free host port for every conflict')
+  .option('-w, --write [file]', 'Write an override file that moves conflicting ports (implies --suggest)')
+  .option('-j, --json', 'Output as JSON (same as --format json)')
+  .action(async (files, options) => {
+    const scanner = new PortScanner();
+    const out = createOutput(options);
+
+    try {
+      const composeFiles = (files.length > 0 ? files : [undefined]).map(file => ComposeFile.load(file));
+      if (typeof options.write === 'string' && composeFiles.length > 1) {
+        throw new InvalidArgumentError('--write <file> takes a single compose file; omit the path to write one override per file');
+      }
+
+      const results = await ComposeFile.check(composeFiles, scanner);
+      const resolvers = {};
+      if (options.suggest || options.write) {
+        await ComposeFile.suggest(results, (binding, exclude) => {
+          resolvers[binding.protocol] = resolvers[binding.protocol] || new PortResolver({ protocol: binding.protocol });
+          return resolvers[binding.protocol].findAvailablePort(binding.hostPort, 100, { exclude });
+        });
+      }
+
+      const written = [];
+      if (options.write && results.some(r => r.conflict)) {
+        for (const compose of composeFiles) {
+          if (results.some(r => r.file === compose.file && r.conflict)) {
+            written.push(compose.writeOverride(results, typeof options.write === 'string' ? options.write : undefined));
+          }
+        }
+      }
+
+      const conflicts = results.filter(r => r.conflict);
+      const warnings = composeFiles.flatMap(c => c.warnings.map(w => `${path.basename(c.file)}: ${w}`));
+
+      out.print(results, {
+        columns: [
+          'project', 'service', 'hostIp', 'hostPort', 'containerPort', 'protocol', 'conflict', 'running',
+          'collidesWith', ['holders', r => r.holders.map(h => h.pid)], 'suggestion'
+        ],
+        render: () => {
+          for (const compose of composeFiles) {
+            console.log(chalk.gray(`${compose.file} (project: ${compose.project})`));
+          }
+          for (const warning of [...new Set(warnings)]) {
+            console.log(chalk.yellow(`⚠ ${warning}`));
+          }
+          console.log();
+
+          for (const r of results) {
+            const ports = r.hostPortEnd > r.hostPort ? `${r.hostPort}-${r.hostPortEnd}` : r.hostPort;
+            const ip = r.hostIp ? (r.hostIp.includes(':') ? `[${r.hostIp}]:` : `${r.hostIp}:`) : '';
+            const label = `${r.project}/${r.service}: ${ip}${ports} → ${r.containerPort}/${r.protocol}`;
+
+            if (!r.conflict) {
+              const note = r.running ? chalk.gray(' (already running)') : '';
+              console.log(chalk.green(`✓ ${label}`) + note);
+              continue;
+            }
+
+            console.log(chalk.red(`✗ ${label}`));
+            if (r.holders.length > 0) {
+              const holders = r.holders.map(h => h.container
+                ? `${h.container.name} (${h.container.composeProject || h.container.image})`
+                : `${h.command || 'unknown'} (PID: ${h.pid || 'N/A'})`);
+              console.log(chalk.yellow(`  Held by: ${[...new Set(holders)].join(', ')}`));
+            }
+            if (r.collidesWith.length > 0) {
+              console.log(chalk.yellow(`  Also published by: ${r.collidesWith.join(', ')}`));
+            }
+            if (r.suggestion) {
+              console.log(chalk.blue(`  Suggested host port: ${r.suggestion}`));
+            }
+          }
+
+          console.log(`\n ${results.length} published port(s) checked, ${conflicts.length} conflict(s)`);
+          for (const file of written) {
+            console.log(chalk.gray(` Wrote ${file}`));
+          }
+        }
+      });
+
+      if (conflicts.length > 0) {
+        process.exit(EXIT_CODES.IN_USE);
+      }
+    } catch (error) {
+      fail(out, 'Error checking compose files:', error);
+    }
+  });
+
+program
+  .command('profiles')
+  .description('List the active port profiles and framework preferences')
+  .option('-j, --json', 'Output as JSON (same as --format json)')
+  .action(async (options) => {
+    const out = createOutput(options);
+
+    try {
+      const config = PortConfig.load();
+      const records = [
+        ...Object.values(config.profiles).map(p => ({
+          type: 'profile',
+          name: p.name,
+          source: p.source,
+          ports: p.ports,
+          ranges: p.ranges,
+          description: p.description
+        })),
+        ...Object.entries(config.frameworks).map(([name, f]) => ({
+          type: 'framework',
+          name,
+          source: f.source,
+          ports: f.ports,
+          ranges: [],
+          description: ''
+        }))
+      ];
+
+      out.print(records, {
+        columns: PROFILE_COLUMNS,
+        render: () => {
+          const sources = config.files.map(f => `${f.source}: ${f.file}`);
+          console.log(chalk.gray(`Config layers: defaults${sources.length ? ', ' + sources.join(', ') : ''}`));
+
+          for (const type of ['profile', 'framework']) {
+            console.log('\n' + '═'.repeat(90));
+            console.log(type === 'profile' ? ' Profile          Source    Ports' : ' Framework        Source    Preferred ports');
+            console.log('═'.repeat(90));
+            for (const r of records.filter(record => record.type === type)) {
+              const source = r.source === 'default' ? chalk.gray(r.source.padEnd(9)) : chalk.cyan(r.source.padEnd(9));
+              const description = r.description ? chalk.gray(` (${r.description})`) : '';
+              console.log(` ${r.name.padEnd(16)} ${source} ${describeProfilePorts(r)}${description}`);
+            }
+          }
+          console.log('═'.repeat(90) + '\n');
+        }
+      });
+    } catch (error) {
+      fail(out, 'Error loading profiles:', error);
+    }
+  });
+
+program
+  .command('run')
+  .description('Run a dev command on a guaranteed-free port (use {port} in arguments to substitute it)')
+  .argument('<command...>', 'Command to run, after --')
+  .option('-p, --port <port>', 'Preferred port', '3000')
+  .option('-e, --env <name>', 'Environment variable to pass the port in', 'PORT')
+  .option('--no-env', 'Do not set an environment variable')
+  .option('-H, --host <host>', 'Host used in the printed URL', 'localhost')
+  .action(async (commandArgs, options) => {
+    const resolver = new PortResolver();
+    const runner = new PortRunner(resolver);
+    const out = createOutput(options);
+    const [command, ...args] = commandArgs;
+    let lease;
+
+    try {
+      lease = await runner.preparePort(parseInt(options.port), command);
+    } catch (error) {
+      fail(out, 'Error finding a free port:', error);
+    }
+
+    const port = lease.port;
+    const url = `http://${options.host}:${port}`;
+
+    out.print({ port, requested: parseInt(options.port), url, env: options.env || null }, {
+      columns: ['port', 'requested', 'url', 'env'],
+      render: () => {
+        if (port !== parseInt(options.port)) {
+          console.log(chalk.yellow(`Port ${options.port} is in use, using ${port} instead`));
+        }
+        console.log(chalk.green(`→ ${url}`));
+        if (options.env) {
+          console.log(chalk.gray(`  ${options.env}=${port}`));
+        }
+        console.log();
+      }
+    });
+
+    let result;
+    try {
+      result = await runner.run(command, args, { port, env: options.env || null });
+    } catch (error) {
+      await resolver.releasePort(port);
+      out.error(`Error starting ${command}:`, error);
+      process.exit(127);
+    }
+
+    await resolver.releasePort(port);
+
+    if (result.signal) {
+      // Exit the same way the child did so callers see the signal
+      process.kill(process.pid, result.signal);
+      return;
+    }
+    process.exit(result.code);
+  });
+
+program
+  .command('ui')
+  .description('Interactive dashboard: live port list with filtering, sorting, details and kill')
+  .option('-i, --interval <seconds>', 'Refresh interval in seconds', '2')
+  .action(async (options) => {
+    const out = createOutput(options);
+    if (!process.stdin.isTTY || !process.stdout.isTTY) {
+      out.error('Error starting dashboard:', new Error('The dashboard needs an interactive terminal'));
+      process.exit(EXIT_CODES.ERROR);
+    }
+
+    const dashboard = new PortDashboard({ interval: parseFloat(options.interval) * 1000 });
+    process.on('SIGTERM', () => dashboard.stop());
+
+    try {
+      await dashboard.start();
+    } catch (error) {
+      dashboard.stop();
+      fail(out, 'Error running dashboard:', error);
+    }
+    process.exit(EXIT_CODES.OK);
+  });
+
+program.parse();
@@ -0,0 +1,486 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const EnvFile = require('./envfile');
+const { ComposeError, InvalidArgumentError } = require('./errors');
+
+const COMPOSE_FILES = ['compose.yaml', 'compose.yml', 'docker-compose.yaml', 'docker-compose.yml'];
+
+// Host addresses that bind every interface
+const WILDCARD_ADDRESSES = ['', '*', '0.0.0.0', '::', '[::]'];
+
+// First line of generated override files; other files are never overwritten
+const OVERRIDE_HEADER = '# Generated by port-resolver compose';
+
+/**
+ * A port list written as `ports: !override [...]`, so Compose replaces the
+ * service's ports instead of appending to them
+ */
+class OverrideSequence {
+  constructor(items) {
+    this.items = items;
+  }
+}
+
+// Compose-specific merge tags; on load they are read as plain values
+const COMPOSE_SCHEMA = yaml.DEFAULT_SCHEMA.extend([
+  new yaml.Type('!override', {
+    kind: 'sequence',
+    instanceOf: OverrideSequence,
+    construct: data => data || [],
+    represent: sequence => sequence.items
+  }),
+  new yaml.Type('!override', { kind: 'mapping', construct: data => data || {} }),
+  new yaml.Type('!reset', { kind: 'scalar', construct: () => null }),
+  new yaml.Type('!reset', { kind: 'sequence', construct: () => [] }),
+  new yaml.Type('!reset', { kind: 'mapping', construct: () => ({}) })
+]);
+
+/**
+ * A docker-compose file and the host ports it publishes
+ *
+ * Each binding is one published host port:
+ *   { service, entry, hostIp, hostPort, hostPortEnd, containerPort, protocol }
+ * hostPortEnd differs from hostPort only for "9000-9010:80" style entries,
+ * where Compose picks any one free port in the range.
+ */
+class ComposeFile {
+  constructor(file, project, bindings = [], rawServices = {}, warnings = []) {
+    this.file = file;
+    this.project = project;
+    this.bindings = bindings;
+    this.rawServices = rawServices;
+    this.warnings = warnings;
+  }
+
+  /**
+   * Locate the default compose file, starting at dir and walking up
+   */
+  static find(dir = process.cwd()) {
+    let current = path.resolve(dir);
+
+    while (true) {
+      for (const name of COMPOSE_FILES) {
+        const candidate = path.join(current, name);
+        if (fs.existsSync(candidate)) {
+          return candidate;
+        }
+      }
+
+      const parent = path.dirname(current);
+      if (parent === current) {
+        return null;
+      }
+      current = parent;
+    }
+  }
+
+  /**
+   * Load and interpolate a compose file
+   * Variables come from the .env file next to it, overridden by options.env
+   * (default: process.env), as with `docker compose`.
+   */
+  static load(file, options = {}) {
+    const composePath = file ? path.resolve(file) : ComposeFile.find();
+    if (!composePath) {
+      throw new ComposeError(`No compose file found (looked for ${COMPOSE_FILES.join(', ')})`);
+    }
+    if (!fs.existsSync(composePath)) {
+      throw new ComposeError(`Compose file not found: ${composePath}`, composePath);
+    }
+
+    let data;
+    try {
+      data = yaml.load(fs.readFileSync(composePath, 'utf8'), { schema: COMPOSE_SCHEMA });
+    } catch (error) {
+      throw new ComposeError(`Invalid compose file ${composePath}: ${error.message}`, composePath);
+    }
+
+    const dotenv = path.join(path.dirname(composePath), '.env');
+    const env = {
+      ...(fs.existsSync(dotenv) ? EnvFile.parse(fs.readFileSync(dotenv, 'utf8')) : {}),
+      ...(options.env || process.env)
+    };
+
+    return ComposeFile.parse(data, { file: composePath, env });
+  }
+
+  /**
+   * Build a ComposeFile from parsed YAML
+   */
+  static parse(data, options = {}) {
+    const file = options.file || null;
+    const env = options.env || {};
+    const warnings = [];
+
+    if (!data || typeof data !== 'object' || (data.services !== undefined && typeof data.services !== 'object')) {
+      throw new ComposeError(`Compose file${file ? ` ${file}` : ''} has no services`, file);
+    }
+
+    const rawServices = data.services || {};
+    const resolved = ComposeFile.interpolate(rawServices, env, warnings, file);
+    const project = ComposeFile.projectName(data, file, env, warnings);
+    const bindings = [];
+
+    for (const [service, spec] of Object.entries(resolved)) {
+      const ports = spec && Array.isArray(spec.ports) ? spec.ports : [];
+      ports.forEach((entry, index) => {
+        try {
+          for (const binding of ComposeFile.parsePortEntry(entry)) {
+            bindings.push({ service, entry: index, ...binding });
+          }
+        } catch (error) {
+          throw new ComposeError(`Service "${service}" in ${file}: ${error.message}`, file);
+        }
+      });
+    }
+
+    return new ComposeFile(file, project, bindings, rawServices, warnings);
+  }
+
+  /**
+   * Project name: top-level `name`, COMPOSE_PROJECT_NAME, or the directory name
+   */
+  static projectName(data, file, env = {}, warnings = []) {
+    const name = data.name
+      ? ComposeFile.interpolate(String(data.name), env, warnings, file)
+      : env.COMPOSE_PROJECT_NAME || path.basename(path.dirname(file || path.join(process.cwd(), 'x')));
+    return String(name).toLowerCase().replace(/[^a-z0-9_-]/g, '');
+  }
+
+  /**
+   * Interpolate ${VAR}, ${VAR:-default}, ${VAR-default}, ${VAR:?error},
+   * ${VAR?error}, ${VAR:+alt}, ${VAR+alt}, $VAR and $$ in every string value
+   */
+  static interpolate(value, env = {}, warnings = [], file = null) {
+    if (Array.isArray(value)) {
+      return value.map(v => ComposeFile.interpolate(v, env, warnings, file));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value)
+        .map(([key, v]) => [key, ComposeFile.interpolate(v, env, warnings, file)]));
+    }
+    if (typeof value !== 'string') {
+      return value;
+    }
+
+    return value.replace(/\$(?:(\$)|\{([^}]*)\}|([A-Za-z_][A-Za-z0-9_]*))/g, (match, dollar, braced, bare) => {
+      if (dollar) {
+        return '$';
+      }
+      if (bare) {
+        return ComposeFile.lookup(bare, env, warnings);
+      }
+
+      const expr = braced.match(/^([A-Za-z_][A-Za-z0-9_]*)(?:(:?[-?+])([\s\S]*))?$/);
+      if (!expr) {
+        throw new ComposeError(`Invalid interpolation "${match}"${file ? ` in ${file}` : ''}`, file);
+      }
+
+      const [, name, operator, operand = ''] = expr;
+      const isSet = env[name] !== undefined;
+      const isNonEmpty = isSet && env[name] !== '';
+      const word = () => ComposeFile.interpolate(operand, env, warnings, file);
+
+      switch (operator) {
+        case ':-': return isNonEmpty ? env[name] : word();
+        case '-': return isSet ? env[name] : word();
+        case ':+': return isNonEmpty ? word() : '';
+        case '+': return isSet ? word() : '';
+        case ':?':
+        case '?':
+          if (operator === ':?' ? isNonEmpty : isSet) {
+            return env[name];
+          }
+          throw new ComposeError(`Required variable ${name} is not set: ${word() || 'missing value'}`, file);
+        default:
+          return ComposeFile.lookup(name, env, warnings);
+      }
+    });
+  }
+
+  /**
+   * Helper: Plain variable lookup; unset variables become '' with a warning
+   */
+  static lookup(name, env, warnings) {
+    if (env[name] === undefined) {
+      warnings.push(`Variable ${name} is not set; defaulting to an empty string`);
+      return '';
+    }
+    return env[name];
+  }
+
+  /**
+   * Expand one `ports:` entry (short or long syntax) into host bindings
+   * Entries without a fixed host port ("3000", "127.0.0.1::80") publish on a
+   * random port and yield no bindings.
+   */
+  static parsePortEntry(entry) {
+    if (entry && typeof entry === 'object') {
+      return ComposeFile.parseLongSyntax(entry);
+    }
+    return ComposeFile.parseShortSyntax(String(entry));
+  }
+
+  /**
+   * "[HOST_IP:][HOST_PORT:]CONTAINER_PORT[/PROTOCOL]", ports may be ranges
+   */
+  static parseShortSyntax(spec) {
+    const [address, protocol = 'tcp'] = spec.trim().split('/');
+    let hostIp = '';
+    let rest = address;
+
+    // [::1]:8080:80
+    const bracketed = address.match(/^\[([^\]]+)\]:(.*)$/);
+    if (bracketed) {
+      hostIp = bracketed[1];
+      rest = bracketed[2];
+    }
+
+    const parts = rest.split(':');
+    if (!bracketed && parts.length === 3) {
+      hostIp = parts.shift();
+    }
+    if (parts.length > 2 || (bracketed && parts.length !== 2)) {
+      throw new InvalidArgumentError(`Invalid port mapping "${spec}"`);
+    }
+
+    const container = ComposeFile.parsePortRange(parts[parts.length - 1], spec);
+    const host = parts.length === 2 && parts[0] !== '' ? ComposeFile.parsePortRange(parts[0], spec) : null;
+
+    return ComposeFile.expandBindings(host, container, hostIp, protocol.toLowerCase(), spec);
+  }
+
+  /**
+   * { target, published, host_ip, protocol, mode }
+   */
+  static parseLongSyntax(entry) {
+    if (entry.target === undefined) {
+      throw new InvalidArgumentError(`Port mapping ${JSON.stringify(entry)} has no target`);
+    }
+
+    const spec = JSON.stringify(entry);
+    const container = ComposeFile.parsePortRange(entry.target, spec);
+    const host = entry.published !== undefined && entry.published !== null && entry.published !== ''
+      ? ComposeFile.parsePortRange(entry.published, spec)
+      : null;
+
+    return ComposeFile.expandBindings(host, container, entry.host_ip || '', String(entry.protocol || 'tcp').toLowerCase(), spec);
+  }
+
+  /**
+   * Helper: Pair host and container ranges the way Docker does
+   */
+  static expandBindings(host, container, hostIp, protocol, spec) {
+    if (!host) {
+      return [];
+    }
+
+    const hostSize = host.end - host.start;
+    const containerSize = container.end - container.start;
+
+    // 9000-9010:80 -> any one free host port in the range
+    if (containerSize === 0 && hostSize > 0) {
+      return [{ hostIp, hostPort: host.start, hostPortEnd: host.end, containerPort: container.start, protocol }];
+    }
+    if (hostSize !== containerSize) {
+      throw new InvalidArgumentError(`Port ranges in "${spec}" have different sizes`);
+    }
+
+    const bindings = [];
+    for (let offset = 0; offset <= hostSize; offset++) {
+      const hostPort = host.start + offset;
+      bindings.push({ hostIp, hostPort, hostPortEnd: hostPort, containerPort: container.start + offset, protocol });
+    }
+    return bindings;
+  }
+
+  /**
+   * Helper: "8080" or "8080-8090" -> { start, end }
+   */
+  static parsePortRange(value, spec) {
+    const match = String(value).trim().match(/^(\d+)(?:-(\d+))?$/);
+    const start = match ? parseInt(match[1]) : NaN;
+    const end = match && match[2] ? parseInt(match[2]) : start;
+
+    if (isNaN(start) || start < 1 || end > 65535 || start > end) {
+      throw new InvalidArgumentError(`Invalid port "${value}" in "${spec}"`);
+    }
+    return { start, end };
+  }
+
+  /**
+   * Whether two bind addresses can clash (either binds all interfaces, or both are the same)
+   */
+  static addressesOverlap(a, b) {
+    const normalize = address => String(address || '').replace(/^\[(.*)\]$/, '$1');
+    if (WILDCARD_ADDRESSES.includes(String(a || '')) || WILDCARD_ADDRESSES.includes(String(b || ''))) {
+      return true;
+    }
+    return normalize(a) === normalize(b);
+  }
+
+  /**
+   * Cross-check the host ports of several compose files against the
+   * listening sockets and against each other
+   *
+   * Returns one record per binding:
+   *   { file, project, service, hostIp, hostPort, hostPortEnd, containerPort,
+   *     protocol, holders, running, collidesWith, conflict }
+   *
+   * Listeners that belong to the same compose project (its containers are
+   * already up) count as `running`, not as conflicts. A clash between two
+   * bindings marks only the later one as a conflict, so the earlier one can
+   * keep its port.
+   */
+  static async check(composeFiles, scanner) {
+    const snapshot = await scanner.createSnapshot();
+    await scanner.annotateContainers(snapshot.ports);
+
+    const bindings = composeFiles.flatMap(compose => compose.bindings.map(b => ({
+      file: compose.file,
+      project: compose.project,
+      ...b
+    })));
+
+    return bindings.map((binding, index) => {
+      const running = [];
+      const busy = new Set();
+      const holders = [];
+
+      for (let port = binding.hostPort; port <= binding.hostPortEnd; port++) {
+        for (const holder of snapshot.scanPort(port, binding.protocol)) {
+          if (!ComposeFile.addressesOverlap(binding.hostIp, holder.address)) {
+            continue;
+          }
+          if (holder.container && holder.container.composeProject === binding.project) {
+            running.push(holder);
+          } else {
+            holders.push(holder);
+            busy.add(port);
+          }
+        }
+      }
+
+      const collisions = bindings
+        .map((other, otherIndex) => ({ other, otherIndex }))
+        .filter(({ other, otherIndex }) => otherIndex !== index
+          && other.protocol === binding.protocol
+          && other.hostPort <= binding.hostPortEnd && other.hostPortEnd >= binding.hostPort
+          && ComposeFile.addressesOverlap(other.hostIp, binding.hostIp));
+
+      for (const { other, otherIndex } of collisions) {
+        if (otherIndex < index && other.hostPort === other.hostPortEnd) {
+          busy.add(other.hostPort);
+        }
+      }
+
+      // A range entry only fails when no port in the range is left
+      const size = binding.hostPortEnd - binding.hostPort + 1;
+      const conflict = binding.hostPortEnd > binding.hostPort
+        ? busy.size >= size
+        : busy.size > 0;
+
+      return {
+        ...binding,
+        holders,
+        running: running.length > 0,
+        collidesWith: collisions.map(({ other }) => `${other.project}/${other.service}:${other.hostPort}`),
+        conflict
+      };
+    });
+  }
+
+  /**
+   * Find a free host port for every conflicting binding
+   * `findPort(port, exclude)` resolves a free port at or near `port`, never one
+   * in `exclude` (every host port the compose files claim, plus earlier picks).
+   */
+  static async suggest(results, findPort) {
+    const claimed = new Set();
+    for (const r of results) {
+      for (let port = r.hostPort; port <= r.hostPortEnd; port++) {
+        claimed.add(port);
+      }
+    }
+
+    for (const r of results) {
+      r.suggestion = null;
+      if (!r.conflict) {
+        continue;
+      }
+      r.suggestion = await findPort(r, [...claimed]);
+      claimed.add(r.suggestion);
+    }
+
+    return results;
+  }
+
+  /**
+   * Default override path: docker-compose.yml -> docker-compose.override.yml
+   */
+  static overridePath(file) {
+    const ext = path.extname(file);
+    return path.join(path.dirname(file), `${path.basename(file, ext)}.override${ext}`);
+  }
+
+  /**
+   * Helper: Short syntax for a binding
+   */
+  static formatPort(binding, hostPort = binding.hostPort) {
+    const ip = binding.hostIp ? (binding.hostIp.includes(':') ? `[${binding.hostIp}]:` : `${binding.hostIp}:`) : '';
+    const protocol = binding.protocol && binding.protocol !== 'tcp' ? `/${binding.protocol}` : '';
+    return `${ip}${hostPort}:${binding.containerPort}${protocol}`;
+  }
+
+  /**
+   * Render an override file that moves this file's conflicting bindings to
+   * their suggested ports. Untouched entries of an affected service are kept
+   * as written; the list is tagged !override so Compose replaces it.
+   */
+  buildOverride(results) {
+    const moved = results.filter(r => r.file === this.file && r.conflict && r.suggestion);
+    const services = {};
+
+    for (const service of [...new Set(moved.map(r => r.service))]) {
+      const raw = (this.rawServices[service] && this.rawServices[service].ports) || [];
+      const ports = [];
+
+      raw.forEach((entry, index) => {
+        const changed = moved.filter(r => r.service === service && r.entry === index);
+        if (changed.length === 0) {
+          ports.push(entry);
+          return;
+        }
+
+        const bindings = this.bindings.filter(b => b.service === service && b.entry === index);
+        for (const binding of bindings) {
+          const move = changed.find(r => r.hostPort === binding.hostPort);
+          ports.push(move ? ComposeFile.formatPort(binding, move.suggestion) : ComposeFile.formatPort(binding));
+        }
+      });
+
+      services[service] = { ports: new OverrideSequence(ports) };
+    }
+
+    const body = yaml.dump({ services }, { schema: COMPOSE_SCHEMA, lineWidth: -1 });
+    return `${OVERRIDE_HEADER} from ${path.basename(this.file)}\n${body}`;
+  }
+
+  /**
+   * Write the override file; refuses to replace a file it did not generate
+   */
+  writeOverride(results, target = ComposeFile.overridePath(this.file)) {
+    if (fs.existsSync(target) && !fs.readFileSync(target, 'utf8').startsWith(OVERRIDE_HEADER)) {
+      throw new ComposeError(`${target} already exists and was not generated by port-resolver; choose another path`, target);
+    }
+
+    fs.writeFileSync(target, this.buildOverride(results));
+    return target;
+  }
+}
+
+ComposeFile.COMPOSE_FILES = COMPOSE_FILES;
+ComposeFile.OverrideSequence = OverrideSequence;
+
+module.exports = ComposeFile;
@@ -0,0 +1,293 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const PortManifest = require('./manifest');
+const { ConfigError } = require('./errors');
+
+const USER_CONFIG_FILES = ['config.yaml', 'config.yml', 'config.json'];
+
+// Built-in profiles; `common` is what `scan` and `watch common` use by default
+const DEFAULT_PROFILES = {
+  common: {
+    description: 'Common development ports',
+    ports: [
+      80, 443, 3000, 3001, 3002, 3003, 3004, 3005, 3006, 3007, 3008, 3009,
+      3010, 4000, 4001, 4200, 5000, 5001, 5173, 5174, 5175, 5176, 5177,
+      5178, 5179, 5180, 5500, 6000, 7000, 8000, 8080, 8081, 8082, 8083,
+      8084, 8085, 8086, 8087, 8088, 8089, 8090, 8443, 8888, 9000, 9001,
+      9200, 9300, 27017, 27018, 27019, 5432, 6379, 3306, 11211
+    ]
+  },
+  frontend: {
+    description: 'Dev servers and UI tooling',
+    ports: ['3000-3003', 4200, '5173-5180', 6006, 8080]
+  },
+  backend: {
+    description: 'API servers',
+    ports: [3000, 4000, 5000, 8000, 8080, 8081, 9000]
+  },
+  databases: {
+    description: 'Databases and caches',
+    ports: [1433, 3306, 5432, 6379, 9200, 11211, 27017]
+  },
+  messaging: {
+    description: 'Message brokers',
+    ports: [4222, 5672, 9092, 15672]
+  },
+  observability: {
+    description: 'Metrics, dashboards and tracing',
+    ports: [3000, 9090, 9093, 16686]
+  }
+};
+
+// Preferred ports per framework, in order of preference
+const DEFAULT_FRAMEWORKS = {
+  'React/Vite': [5173, 5174, 5175, 5180],
+  'Next.js': [3000, 3001, 3002, 3003],
+  'Create React App': [3000, 3001, 3002],
+  'Vue CLI/Vite': [5173, 5174, 5175, 8080],
+  'Angular': [4200, 4201],
+  'Express': [3000, 4000, 5000, 8080],
+  'FastAPI': [8000, 8001, 8080],
+  'Flask': [5000, 5001, 8000],
+  'Django': [8000, 8001, 8080],
+  'Ruby on Rails': [3000, 5000],
+  'Laravel': [8000, 8001],
+  'Node.js': [3000, 4000, 5000, 8080],
+  'NestJS': [3000, 4000, 5000],
+  'Gatsby': [8000, 8001],
+  'Hugo': [1313, 1314],
+  'Spring Boot': [8080, 8081, 8443],
+  'ASP.NET Core': [5000, 5001, 8080],
+  'Docker': [2375, 2376, 5000, 8080],
+  'PostgreSQL': [5432, 5433],
+  'MySQL': [3306, 3307],
+  'MongoDB': [27017, 27018, 27019],
+  'Redis': [6379, 6380],
+  'Elasticsearch': [9200, 9300]
+};
+
+/**
+ * Directory holding the user configuration
+ */
+function defaultConfigDir() {
+  if (process.platform === 'win32') {
+    const base = process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming');
+    return path.join(base, 'port-conflict-resolver');
+  }
+  const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'port-conflict-resolver');
+}
+
+/**
+ * Port profiles and framework preferences, layered:
+ *
+ *   1. built-in defaults
+ *   2. user config   (~/.config/port-conflict-resolver/config.yaml)
+ *   3. project file  (`profiles` / `frameworks` keys of the nearest .portsrc)
+ *
+ * A later layer replaces a profile or framework of the same name; `null`
+ * removes it. Profiles list ports and ranges:
+ *
+ *   profiles:
+ *     backend: [8080, 9092, "9000-9001"]
+ *     search: { description: "Search stack", ports: [9200, 5601] }
+ *     databases: null
+ *   frameworks:
+ *     Storybook: [6006, 6007]
+ */
+class PortConfig {
+  constructor(profiles = {}, frameworks = {}, files = []) {
+    this.profiles = profiles;
+    this.frameworks = frameworks;
+    this.files = files;
+  }
+
+  /**
+   * Load every layer
+   * options.userFile / options.projectFile override discovery; pass false to skip a layer.
+   */
+  static load(options = {}) {
+    const config = PortConfig.defaults();
+
+    const userFile = options.userFile !== undefined ? options.userFile : PortConfig.findUserFile();
+    if (userFile) {
+      config.apply(PortConfig.read(userFile), 'user', userFile);
+    }
+
+    const projectFile = options.projectFile !== undefined
+      ? options.projectFile
+      : PortManifest.find(options.cwd || process.cwd());
+    if (projectFile) {
+      config.apply(PortConfig.read(projectFile), 'project', projectFile);
+    }
+
+    return config;
+  }
+
+  /**
+   * Built-in layer only
+   */
+  static defaults() {
+    const config = new PortConfig();
+    config.apply({ profiles: DEFAULT_PROFILES, frameworks: DEFAULT_FRAMEWORKS }, 'default');
+    return config;
+  }
+
+  /**
+   * The user config file, if one exists
+   */
+  static findUserFile(dir = defaultConfigDir()) {
+    for (const name of USER_CONFIG_FILES) {
+      const candidate = path.join(dir, name);
+      if (fs.existsSync(candidate)) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Read a YAML/JSON config file
+   */
+  static read(file) {
+    try {
+      return yaml.load(fs.readFileSync(file, 'utf8')) || {};
+    } catch (error) {
+      throw new ConfigError(`Invalid config file ${file}: ${error.message}`, file);
+    }
+  }
+
+  /**
+   * Merge one layer's `profiles` and `frameworks` over this config
+   */
+  apply(data, source, file = null) {
+    if (!data || typeof data !== 'object') {
+      return this;
+    }
+
+    const label = file || source;
+    for (const [name, spec] of Object.entries(data.profiles || {})) {
+      if (spec === null) {
+        delete this.profiles[name];
+        continue;
+      }
+      this.profiles[name] = { ...PortConfig.parseProfile(name, spec, label), source };
+    }
+
+    for (const [name, ports] of Object.entries(data.frameworks || {})) {
+      if (ports === null) {
+        delete this.frameworks[name];
+        continue;
+      }
+      this.frameworks[name] = { ports: PortConfig.parsePortList(ports, `framework "${name}"`, label), source };
+    }
+
+    if (file) {
+      this.files.push({ source, file });
+    }
+    return this;
+  }
+
+  /**
+   * Normalize a profile: a list of ports/ranges, or { description, ports }
+   */
+  static parseProfile(name, spec, file = null) {
+    const entries = Array.isArray(spec) ? spec : spec && spec.ports;
+    if (!Array.isArray(entries)) {
+      throw new ConfigError(`Profile "${name}" must be a list of ports or { ports: [...] }`, file);
+    }
+
+    const ports = [];
+    const ranges = [];
+    for (const entry of entries) {
+      const match = String(entry).trim().match(/^(\d+)(?:-(\d+))?$/);
+      const start = match ? parseInt(match[1]) : NaN;
+      const end = match && match[2] ? parseInt(match[2]) : start;
+      if (isNaN(start) || start < 1 || end > 65535 || start > end) {
+        throw new ConfigError(`Profile "${name}" has an invalid port or range: ${entry}`, file);
+      }
+      if (start === end) {
+        ports.push(start);
+      } else {
+        ranges.push({ start, end });
+      }
+    }
+
+    return {
+      name,
+      description: (!Array.isArray(spec) && spec.description) || '',
+      ports,
+      ranges
+    };
+  }
+
+  /**
+   * Helper: Validate a list of single ports
+   */
+  static parsePortList(list, what, file = null) {
+    const ports = [].concat(list).map(p => parseInt(p));
+    if (ports.length === 0 || ports.some(p => isNaN(p) || p < 1 || p > 65535)) {
+      throw new ConfigError(`The ${what} needs a list of ports (1-65535)`, file);
+    }
+    return ports;
+  }
+
+  /**
+   * Look up a profile by name
+   */
+  getProfile(name) {
+    const profile = this.profiles[name];
+    if (!profile) {
+      const known = Object.keys(this.profiles).join(', ') || 'none';
+      throw new ConfigError(`Unknown profile "${name}" (available: ${known})`);
+    }
+    return profile;
+  }
+
+  /**
+   * Whether a port belongs to a profile
+   */
+  static matches(profile, port) {
+    return profile.ports.includes(port) || profile.ranges.some(r => port >= r.start && port <= r.end);
+  }
+
+  /**
+   * Preferred ports for a framework, or null when it isn't configured
+   */
+  getFrameworkPorts(framework) {
+    const entry = this.frameworks[framework];
+    return entry ? entry.ports : null;
+  }
+
+  /**
+   * Framework name -> preferred ports
+   */
+  getFrameworkSuggestions() {
+    return Object.fromEntries(Object.entries(this.frameworks).map(([name, entry]) => [name, entry.ports]));
+  }
+
+  /**
+   * Helper: Format a profile's ports for display, collapsing runs (3000-3010, 4200)
+   */
+  static describePorts(profile) {
+    const ports = [...new Set(profile.ports)].sort((a, b) => a - b);
+    const parts = [];
+
+    for (let i = 0; i < ports.length; i++) {
+      let j = i;
+      while (j + 1 < ports.length && ports[j + 1] === ports[j] + 1) j++;
+      parts.push(j - i >= 2 ? `${ports[i]}-${ports[j]}` : ports.slice(i, j + 1).join(', '));
+      i = j;
+    }
+
+    return [...parts, ...profile.ranges.map(r => `${r.start}-${r.end}`)].join(', ');
+  }
+}
+
+PortConfig.DEFAULT_PROFILES = DEFAULT_PROFILES;
+PortConfig.DEFAULT_FRAMEWORKS = DEFAULT_FRAMEWORKS;
+PortConfig.defaultConfigDir = defaultConfigDir;
+
+module.exports = PortConfig;
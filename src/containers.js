@@ -0,0 +1,226 @@
+const { exec } = require('child_process');
+const util = require('util');
+const execPromise = util.promisify(exec);
+
+// Processes that hold host ports on behalf of containers
+const PROXY_PROCESSES = [
+  'docker-proxy', 'com.docker.backend', 'com.docker.vpnkit', 'vpnkit',
+  'rootlessport', 'rootlesskit', 'slirp4netns', 'gvproxy', 'pasta'
+];
+
+const RUNTIMES = {
+  // {{json .}} prints one object per line and works on every Docker version
+  docker: "docker ps --no-trunc --format '{{json .}}'",
+  podman: 'podman ps --format json'
+};
+
+const COMPOSE_LABELS = ['com.docker.compose.project', 'io.podman.compose.project'];
+
+class ContainerInspector {
+  constructor(options = {}) {
+    this.runtimes = options.runtimes || Object.keys(RUNTIMES);
+  }
+
+  /**
+   * Check whether a process name belongs to a container port proxy
+   */
+  static isProxyProcess(name) {
+    if (!name) {
+      return false;
+    }
+    const base = String(name).split('/').pop();
+    return PROXY_PROCESSES.includes(base);
+  }
+
+  /**
+   * List running containers across all available runtimes
+   * Runtimes that are not installed or not running are skipped.
+   */
+  async getContainers() {
+    const containers = [];
+
+    for (const runtime of this.runtimes) {
+      let stdout;
+      try {
+        ({ stdout } = await execPromise(RUNTIMES[runtime], { timeout: 5000 }));
+      } catch (error) {
+        continue;
+      }
+      containers.push(...ContainerInspector.parseContainers(stdout, runtime));
+    }
+
+    return containers;
+  }
+
+  /**
+   * Find the container publishing a host port, or null
+   */
+  async findByPort(port, protocol = 'tcp') {
+    const containers = await this.getContainers();
+    return ContainerInspector.matchPort(containers, port, protocol);
+  }
+
+  /**
+   * Pick the container publishing a host port from a container list
+   */
+  static matchPort(containers, port, protocol = 'tcp') {
+    const wanted = String(protocol).toLowerCase();
+    return containers.find(c => c.ports.some(p => p.hostPort === port && p.protocol === wanted)) || null;
+  }
+
+  /**
+   * Stop a container with the runtime that reported it
+   */
+  async stopContainer(container) {
+    await execPromise(`${container.runtime} stop ${container.id}`);
+  }
+
+  /**
+   * Parse `docker ps --format '{{json .}}'` (one object per line) or
+   * `podman ps --format json` (a JSON array) output
+   */
+  static parseContainers(output, runtime = 'docker') {
+    return ContainerInspector.parseRecords(output).map(record => {
+      const labels = ContainerInspector.parseLabels(record.Labels);
+      const names = Array.isArray(record.Names) ? record.Names : String(record.Names || '').split(',');
+      const composeLabel = COMPOSE_LABELS.find(label => labels[label]);
+
+      return {
+        id: record.ID || record.Id || '',
+        name: names[0] || '',
+        image: record.Image || '',
+        composeProject: composeLabel ? labels[composeLabel] : null,
+        runtime,
+        ports: Array.isArray(record.Ports)
+          ? ContainerInspector.parsePodmanPorts(record.Ports)
+          : ContainerInspector.parseDockerPorts(record.Ports || '')
+      };
+    });
+  }
+
+  /**
+   * Helper: JSON records from runtime output
+   * Warnings some runtimes print to stdout, and any other line that isn't
+   * JSON, are skipped rather than failing the whole listing.
+   */
+  static parseRecords(output) {
+    const text = String(output || '').trim();
+
+    // podman: one array, from the first line opening it to the last closing it
+    const array = text.match(/^\[[\s\S]*\]$/m);
+    if (array) {
+      try {
+        const records = JSON.parse(array[0]);
+        if (Array.isArray(records)) {
+          return records.filter(record => record && typeof record === 'object');
+        }
+      } catch (error) {
+        // Not one array after all; try line by line
+      }
+    }
+
+    const records = [];
+    for (const line of text.split('\n')) {
+      try {
+        const record = JSON.parse(line);
+        if (record && typeof record === 'object' && !Array.isArray(record)) {
+          records.push(record);
+        }
+      } catch (error) {
+        // Warning or torn line
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Parse labels given as "a=b,c=d" (docker) or an object (podman)
+   */
+  static parseLabels(labels) {
+    if (!labels) {
+      return {};
+    }
+    if (typeof labels === 'object') {
+      return labels;
+    }
+
+    return labels.split(',').reduce((acc, pair) => {
+      const index = pair.indexOf('=');
+      if (index > 0) {
+        acc[pair.slice(0, index)] = pair.slice(index + 1);
+      }
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Parse docker's port summary, e.g.
+   * "0.0.0.0:8080->80/tcp, :::8080->80/tcp, 0.0.0.0:5000-5001->5000-5001/tcp, 6379/tcp"
+   * Ports that are exposed but not published have no host side and are skipped.
+   */
+  static parseDockerPorts(summary) {
+    const ports = [];
+
+    for (const entry of summary.split(',').map(e => e.trim()).filter(Boolean)) {
+      const match = entry.match(/^(?:(.*):)?(\d+)(?:-(\d+))?->(\d+)(?:-(\d+))?\/(\w+)$/);
+      if (!match) {
+        continue;
+      }
+
+      const [, hostIp, hostStart, hostEnd, containerStart] = match;
+      const protocol = match[6].toLowerCase();
+      const count = (hostEnd ? parseInt(hostEnd) : parseInt(hostStart)) - parseInt(hostStart) + 1;
+
+      for (let i = 0; i < count; i++) {
+        ports.push({
+          hostIp: hostIp || '0.0.0.0',
+          hostPort: parseInt(hostStart) + i,
+          containerPort: parseInt(containerStart) + i,
+          protocol
+        });
+      }
+    }
+
+    return ContainerInspector.uniquePorts(ports);
+  }
+
+  /**
+   * Parse podman's structured port list
+   */
+  static parsePodmanPorts(list) {
+    const ports = [];
+
+    for (const entry of list) {
+      const count = entry.range || 1;
+      for (let i = 0; i < count; i++) {
+        ports.push({
+          hostIp: entry.host_ip || '0.0.0.0',
+          hostPort: entry.host_port + i,
+          containerPort: entry.container_port + i,
+          protocol: String(entry.protocol || 'tcp').toLowerCase()
+        });
+      }
+    }
+
+    return ContainerInspector.uniquePorts(ports);
+  }
+
+  /**
+   * Helper: Collapse IPv4/IPv6 duplicates of the same host port
+   */
+  static uniquePorts(ports) {
+    const seen = new Set();
+    return ports.filter(p => {
+      const key = `${p.hostPort}/${p.protocol}`;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+}
+
+ContainerInspector.PROXY_PROCESSES = PROXY_PROCESSES;
+
+module.exports = ContainerInspector;
@@ -0,0 +1,548 @@
+const readline = require('readline');
+const { spawn } = require('child_process');
+const chalk = require('chalk');
+const PortScanner = require('./scanner');
+const PortResolver = require('./resolver');
+
+const SORT_KEYS = ['port', 'pid', 'command', 'project'];
+
+// Filter prefixes that target a single field, e.g. "process:node"
+const FILTER_FIELDS = {
+  port: row => String(row.port),
+  pid: row => String(row.pid || ''),
+  process: row => row.command || '',
+  project: row => row.project || ''
+};
+
+const COLUMNS = [
+  { key: 'port', title: 'PORT', width: 7 },
+  { key: 'pid', title: 'PID', width: 8 },
+  { key: 'protocol', title: 'PROTO', width: 6 },
+  { key: 'address', title: 'ADDRESS', width: 18 },
+  { key: 'command', title: 'PROCESS', width: 20 },
+  { key: 'project', title: 'PROJECT', width: 18 },
+  { key: 'framework', title: 'FRAMEWORK', width: 0 }
+];
+
+const HELP = '↑↓ move  / filter  s sort  r reverse  enter details  x kill  c copy free port  R refresh  q quit';
+
+const CLIPBOARD_COMMANDS = {
+  darwin: [['pbcopy']],
+  win32: [['clip']],
+  linux: [['wl-copy'], ['xclip', '-selection', 'clipboard'], ['xsel', '--clipboard', '--input']]
+};
+
+/**
+ * Full-screen, live-refreshing dashboard of listening ports
+ *
+ * Rows come from PortScanner#getActivePorts (enriched with project details).
+ * Kills target the highlighted row's PID through PortResolver#killProcess, so
+ * its confirmation, container handling and KillPolicy apply; the confirmation
+ * question is asked in the status line.
+ */
+class PortDashboard {
+  constructor(options = {}) {
+    this.scanner = options.scanner || new PortScanner();
+    // Free-port suggestions follow this resolver's protocol (TCP by default)
+    this.resolver = options.resolver || new PortResolver();
+    // Rows list TCP and UDP sockets, so kills look a PID up in both tables
+    this.killResolver = options.killResolver || new PortResolver({ protocol: 'both' });
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.interval = options.interval || 2000;
+    this.killOptions = options.killOptions || {};
+
+    this.state = {
+      rows: [],
+      selected: 0,
+      offset: 0,
+      sortKey: 'port',
+      reverse: false,
+      filter: '',
+      draft: '',
+      mode: 'list', // list | filter | confirm | details
+      prompt: null,
+      details: null,
+      status: 'Scanning...',
+      updatedAt: null
+    };
+
+    this.timer = null;
+    this.running = false;
+    this.refreshing = false;
+    this.answer = null;
+    this.done = null;
+    this.onKeypress = (str, key) => this.handleKey(str, key || {});
+    this.onResize = () => this.draw();
+  }
+
+  /**
+   * Take over the terminal; resolves when the user quits
+   */
+  start() {
+    this.running = true;
+    readline.emitKeypressEvents(this.input);
+    if (this.input.isTTY) {
+      this.input.setRawMode(true);
+    }
+    this.input.on('keypress', this.onKeypress);
+    this.input.resume();
+    this.output.on('resize', this.onResize);
+
+    // Alternate screen, hidden cursor
+    this.output.write('\x1b[?1049h\x1b[?25l');
+    this.draw();
+
+    this.refresh();
+    this.timer = setInterval(() => this.refresh(), this.interval);
+
+    return new Promise((resolve) => {
+      this.done = resolve;
+    });
+  }
+
+  /**
+   * Restore the terminal and resolve start()
+   */
+  stop() {
+    if (!this.running) {
+      return;
+    }
+    this.running = false;
+    clearInterval(this.timer);
+    this.timer = null;
+    this.input.removeListener('keypress', this.onKeypress);
+    this.output.removeListener('resize', this.onResize);
+    if (this.input.isTTY) {
+      this.input.setRawMode(false);
+    }
+    this.input.pause();
+    this.output.write('\x1b[?25h\x1b[?1049l');
+
+    if (this.done) {
+      this.done();
+      this.done = null;
+    }
+  }
+
+  /**
+   * Rescan, keeping the selection on the same listener when it still exists
+   */
+  async refresh() {
+    if (this.refreshing) {
+      return;
+    }
+    this.refreshing = true;
+
+    const current = this.visibleRows()[this.state.selected];
+
+    try {
+      const ports = await this.scanner.getActivePorts();
+      this.state.rows = await this.scanner.enrichPorts(ports);
+      this.state.updatedAt = new Date();
+      if (this.state.status === 'Scanning...') {
+        this.state.status = null;
+      }
+    } catch (error) {
+      this.state.status = chalk.red(`Scan failed: ${error.message}`);
+    } finally {
+      this.refreshing = false;
+    }
+
+    if (current) {
+      const index = this.visibleRows().findIndex(r => r.port === current.port && r.pid === current.pid);
+      if (index !== -1) {
+        this.state.selected = index;
+      }
+    }
+    this.draw();
+  }
+
+  /**
+   * Rows after filtering and sorting
+   */
+  visibleRows() {
+    const { rows, filter, sortKey, reverse } = this.state;
+    return PortDashboard.sortRows(PortDashboard.filterRows(rows, filter), sortKey, reverse);
+  }
+
+  /**
+   * Dispatch a keypress according to the current mode
+   */
+  handleKey(str, key) {
+    if (key.ctrl && key.name === 'c') {
+      if (this.state.mode === 'confirm') {
+        this.resolvePrompt(false);
+      }
+      this.stop();
+      return;
+    }
+
+    const handlers = {
+      list: () => this.handleListKey(str, key),
+      filter: () => this.handleFilterKey(str, key),
+      confirm: () => this.resolvePrompt(str === 'y' || str === 'Y'),
+      details: () => {
+        this.state.mode = 'list';
+        this.state.details = null;
+      }
+    };
+
+    handlers[this.state.mode]();
+    this.draw();
+  }
+
+  handleListKey(str, key) {
+    const count = this.visibleRows().length;
+    const page = Math.max(this.listHeight() - 1, 1);
+    const move = (delta) => {
+      this.state.selected = Math.min(Math.max(this.state.selected + delta, 0), Math.max(count - 1, 0));
+    };
+
+    // Shifted letters (G, R) are commands, not navigation
+    switch (key.shift ? str : (key.name || str)) {
+      case 'up':
+      case 'k':
+        move(-1);
+        break;
+      case 'down':
+      case 'j':
+        move(1);
+        break;
+      case 'pageup':
+        move(-page);
+        break;
+      case 'pagedown':
+        move(page);
+        break;
+      case 'home':
+      case 'g':
+        this.state.selected = 0;
+        break;
+      case 'end':
+        move(count);
+        break;
+      case 'return':
+      case 'i':
+        this.showDetails();
+        break;
+      case 'escape':
+        this.state.filter = '';
+        this.state.selected = 0;
+        break;
+      default:
+        this.handleCommandKey(str);
+    }
+  }
+
+  /**
+   * Single-character commands; case matters (G, R)
+   */
+  handleCommandKey(str) {
+    switch (str) {
+      case 'G':
+        this.state.selected = Math.max(this.visibleRows().length - 1, 0);
+        break;
+      case '/':
+        this.state.mode = 'filter';
+        this.state.draft = this.state.filter;
+        break;
+      case 's':
+        this.state.sortKey = SORT_KEYS[(SORT_KEYS.indexOf(this.state.sortKey) + 1) % SORT_KEYS.length];
+        break;
+      case 'r':
+        this.state.reverse = !this.state.reverse;
+        break;
+      case 'R':
+        this.refresh();
+        break;
+      case 'x':
+        this.killSelected();
+        break;
+      case 'c':
+        this.copySuggestion();
+        break;
+      case 'q':
+        this.stop();
+        break;
+      default:
+        break;
+    }
+  }
+
+  handleFilterKey(str, key) {
+    if (key.name === 'return') {
+      this.state.filter = this.state.draft.trim();
+      this.state.selected = 0;
+      this.state.mode = 'list';
+    } else if (key.name === 'escape') {
+      this.state.mode = 'list';
+    } else if (key.name === 'backspace') {
+      this.state.draft = this.state.draft.slice(0, -1);
+    } else if (str && !key.ctrl && !key.meta && str >= ' ') {
+      this.state.draft += str;
+    }
+  }
+
+  /**
+   * Ask a yes/no question in the status line
+   */
+  prompt(question) {
+    this.state.mode = 'confirm';
+    this.state.prompt = question;
+    this.draw();
+
+    return new Promise((resolve) => {
+      this.answer = resolve;
+    });
+  }
+
+  resolvePrompt(confirmed) {
+    this.state.mode = 'list';
+    this.state.prompt = null;
+    if (this.answer) {
+      this.answer(confirmed);
+      this.answer = null;
+    }
+  }
+
+  async killSelected() {
+    const row = this.visibleRows()[this.state.selected];
+    if (!row) {
+      return;
+    }
+
+    try {
+      const result = await this.killResolver.killProcess(row.port, row.pid, false, {
+        ...this.killOptions,
+        confirm: question => this.prompt(question)
+      });
+      this.setStatus(result.success ? chalk.green(`✓ ${result.message}`) : chalk.yellow(`✗ ${result.message}`));
+    } catch (error) {
+      this.setStatus(chalk.red(`Kill failed: ${error.message}`));
+    }
+    this.refresh();
+  }
+
+  async showDetails() {
+    const row = this.visibleRows()[this.state.selected];
+    if (!row) {
+      return;
+    }
+
+    this.setStatus(chalk.gray(`Loading details for port ${row.port}...`));
+    try {
+      const info = await this.scanner.getProcessInfo(row.port, { identify: true });
+      this.state.details = info || { ...row };
+      this.state.mode = 'details';
+      this.state.status = null;
+    } catch (error) {
+      this.state.status = chalk.red(`Could not read process info: ${error.message}`);
+    }
+    this.draw();
+  }
+
+  async copySuggestion() {
+    const row = this.visibleRows()[this.state.selected];
+    const start = row ? row.port : 3000;
+
+    try {
+      const port = await this.resolver.findAvailablePort(start, 100, { strategy: 'nearest' });
+      const method = await PortDashboard.copyToClipboard(String(port), this.output);
+      this.setStatus(chalk.green(`Port ${port} is free; copied to clipboard (${method})`));
+    } catch (error) {
+      this.setStatus(chalk.red(error.message));
+    }
+  }
+
+  setStatus(message) {
+    this.state.status = message;
+    this.draw();
+  }
+
+  listHeight() {
+    // Title, header, status and help lines
+    return Math.max((this.output.rows || 24) - 4, 1);
+  }
+
+  draw() {
+    if (!this.running) {
+      return;
+    }
+
+    const rows = this.visibleRows();
+    this.state.selected = Math.min(this.state.selected, Math.max(rows.length - 1, 0));
+
+    // Scroll so the selection stays visible
+    const height = this.listHeight();
+    if (this.state.selected < this.state.offset) {
+      this.state.offset = this.state.selected;
+    } else if (this.state.selected >= this.state.offset + height) {
+      this.state.offset = this.state.selected - height + 1;
+    }
+
+    const lines = PortDashboard.render(this.state, rows, {
+      width: this.output.columns || 80,
+      height: this.output.rows || 24
+    });
+    this.output.write('\x1b[H' + lines.map(line => line + '\x1b[K').join('\n') + '\x1b[J');
+  }
+
+  /**
+   * Build the screen as an array of lines (no cursor control)
+   */
+  static render(state, rows, { width = 80, height = 24 } = {}) {
+    const lines = [];
+    const listHeight = Math.max(height - 4, 1);
+
+    const sort = `sort: ${state.sortKey} ${state.reverse ? '↓' : '↑'}`;
+    const filter = state.filter ? `  filter: ${state.filter}` : '';
+    const updated = state.updatedAt ? `  updated ${state.updatedAt.toLocaleTimeString()}` : '';
+    const title = ` port-resolver  ${rows.length} listening  ${sort}${filter}${updated}`;
+    lines.push(chalk.inverse(PortDashboard.fit(title, width)));
+
+    if (state.mode === 'details' && state.details) {
+      lines.push(chalk.bold(PortDashboard.fit(` Port ${state.details.port}`, width)));
+      const body = PortDashboard.detailLines(state.details).map(line => PortDashboard.fit(line, width));
+      lines.push(...body.slice(0, listHeight));
+      while (lines.length < height - 2) lines.push('');
+      lines.push('');
+      lines.push(chalk.gray(PortDashboard.fit(' Press any key to go back', width)));
+      return lines;
+    }
+
+    lines.push(chalk.bold(PortDashboard.formatRow(Object.fromEntries(COLUMNS.map(c => [c.key, c.title])), width)));
+
+    const visible = rows.slice(state.offset, state.offset + listHeight);
+    visible.forEach((row, i) => {
+      const line = PortDashboard.formatRow(row, width);
+      lines.push(state.offset + i === state.selected ? chalk.inverse(line) : line);
+    });
+    if (rows.length === 0) {
+      lines.push(chalk.gray(state.filter ? ' No listeners match the filter' : ' No listening ports'));
+    }
+    while (lines.length < height - 2) lines.push('');
+
+    if (state.mode === 'filter') {
+      lines.push(PortDashboard.fit(` Filter (port:, pid:, process:, project:): ${state.draft}█`, width));
+    } else if (state.mode === 'confirm') {
+      lines.push(chalk.yellow(PortDashboard.fit(` ${state.prompt}`, width)));
+    } else {
+      lines.push(state.status ? ` ${state.status}` : '');
+    }
+    lines.push(chalk.gray(PortDashboard.fit(` ${HELP}`, width)));
+
+    return lines;
+  }
+
+  /**
+   * Helper: One table row, columns fitted to the terminal width
+   */
+  static formatRow(row, width) {
+    const fixed = COLUMNS.reduce((sum, c) => sum + c.width, 0);
+    const cells = COLUMNS.map((column) => {
+      const value = row[column.key] === undefined || row[column.key] === null || row[column.key] === 0
+        ? (column.key === 'pid' ? '-' : '')
+        : String(row[column.key]);
+      const columnWidth = column.width || Math.max(width - fixed - 1, 0);
+      return PortDashboard.fit(value, columnWidth - 1).padEnd(columnWidth);
+    });
+    return PortDashboard.fit(' ' + cells.join(''), width);
+  }
+
+  /**
+   * Helper: Labelled detail lines for the details view
+   */
+  static detailLines(info) {
+    const fields = [
+      ['PID', info.pid || 'N/A'],
+      ['Process', info.processName || info.command],
+      ['Command line', info.processArgs || info.args],
+      ['Protocol', info.protocol],
+      ['Address', info.address],
+      ['State', info.state],
+      ['Working dir', info.cwd],
+      ['Project', info.project],
+      ['Git root', info.gitRoot],
+      ['Framework', info.framework],
+      ['Service', info.fingerprint ? info.fingerprint.summary : null],
+      ['Container', info.container ? `${info.container.name} (${info.container.image}, ${info.container.runtime})` : null]
+    ];
+
+    return fields
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([label, value]) => `   ${(label + ':').padEnd(14)} ${value}`);
+  }
+
+  /**
+   * Filter rows; "port:30", "pid:", "process:node" or "project:api" target one
+   * field, plain text matches port, process or project
+   */
+  static filterRows(rows, filter) {
+    if (!filter) {
+      return rows;
+    }
+
+    const match = filter.match(/^(\w+):(.*)$/);
+    if (match && FILTER_FIELDS[match[1].toLowerCase()]) {
+      const field = FILTER_FIELDS[match[1].toLowerCase()];
+      const query = match[2].trim().toLowerCase();
+      return rows.filter(row => field(row).toLowerCase().includes(query));
+    }
+
+    const query = filter.toLowerCase();
+    return rows.filter(row => ['port', 'process', 'project']
+      .some(name => FILTER_FIELDS[name](row).toLowerCase().includes(query)));
+  }
+
+  /**
+   * Sort rows by port, pid, command or project; ties fall back to port
+   */
+  static sortRows(rows, key = 'port', reverse = false) {
+    const value = row => (key === 'port' || key === 'pid') ? (row[key] || 0) : String(row[key] || '').toLowerCase();
+    const sorted = rows.slice().sort((a, b) => {
+      const x = value(a);
+      const y = value(b);
+      if (x < y) return -1;
+      if (x > y) return 1;
+      return a.port - b.port;
+    });
+    return reverse ? sorted.reverse() : sorted;
+  }
+
+  /**
+   * Helper: Truncate text to a width
+   */
+  static fit(text, width) {
+    const value = String(text);
+    if (width <= 0) return '';
+    return value.length > width ? value.slice(0, Math.max(width - 1, 0)) + '…' : value;
+  }
+
+  /**
+   * Copy text using the platform clipboard tool, falling back to the OSC 52
+   * terminal escape (supported by most modern terminals, including over SSH).
+   * Resolves with the method used.
+   */
+  static async copyToClipboard(text, output = process.stdout) {
+    for (const [command, ...args] of CLIPBOARD_COMMANDS[process.platform] || []) {
+      const copied = await new Promise((resolve) => {
+        const child = spawn(command, args, { stdio: ['pipe', 'ignore', 'ignore'] });
+        child.once('error', () => resolve(false));
+        child.once('close', code => resolve(code === 0));
+        child.stdin.on('error', () => {});
+        child.stdin.end(text);
+      });
+      if (copied) {
+        return command;
+      }
+    }
+
+    output.write(`\x1b]52;c;${Buffer.from(text).toString('base64')}\x07`);
+    return 'OSC 52';
+  }
+}
+
+PortDashboard.SORT_KEYS = SORT_KEYS;
+
+module.exports = PortDashboard;
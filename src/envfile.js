@@ -0,0 +1,77 @@
+const fs = require('fs');
+
+class EnvFile {
+  /**
+   * Update KEY=value pairs in a .env file, keeping all other lines intact
+   * Keys that are not present yet are appended. Returns the new file content.
+   */
+  static update(file, values) {
+    const content = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+    const updated = EnvFile.merge(content, values);
+    fs.writeFileSync(file, updated);
+    return updated;
+  }
+
+  /**
+   * Merge values into existing .env content
+   */
+  static merge(content, values) {
+    const remaining = new Map(Object.entries(values));
+    const lines = content === '' ? [] : content.replace(/\n$/, '').split('\n');
+
+    const merged = lines.map(line => {
+      const match = line.match(/^(\s*(?:export\s+)?)([A-Za-z_][A-Za-z0-9_]*)\s*=/);
+      if (!match || !remaining.has(match[2])) {
+        return line;
+      }
+
+      const key = match[2];
+      const value = remaining.get(key);
+      remaining.delete(key);
+      return `${match[1]}${key}=${value}`;
+    });
+
+    for (const [key, value] of remaining) {
+      merged.push(`${key}=${value}`);
+    }
+
+    return merged.join('\n') + '\n';
+  }
+
+  /**
+   * Parse .env content into an object
+   * Supports `export` prefixes, comments and single/double-quoted values.
+   */
+  static parse(content) {
+    const values = {};
+
+    for (const line of content.split(/\r?\n/)) {
+      const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+      if (!match) {
+        continue;
+      }
+
+      let value = match[2].trim();
+      const quoted = value.match(/^(['"])(.*)\1$/);
+      if (quoted) {
+        value = quoted[1] === '"' ? quoted[2].replace(/\\n/g, '\n') : quoted[2];
+      } else {
+        value = value.replace(/\s+#.*$/, '');
+      }
+      values[match[1]] = value;
+    }
+
+    return values;
+  }
+
+  /**
+   * Format values as shell export statements
+   */
+  static toExports(values) {
+    return Object.entries(values)
+      .map(([key, value]) => `export ${key}=${value}`)
+      .join('\n');
+  }
+}
+
+module.exports = EnvFile;
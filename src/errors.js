@@ -0,0 +1,101 @@
+/**
+ * Base class for every error thrown by port-conflict-resolver
+ * `code` is a stable, machine-readable identifier.
+ */
+class PortResolverError extends Error {
+  constructor(message, code = 'EPORTRESOLVER') {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+/**
+ * No free port could be found within the allowed range
+ */
+class NoAvailablePortError extends PortResolverError {
+  constructor(message, details = {}) {
+    super(message, 'ENOPORT');
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * A port manifest (.portsrc) is missing or invalid
+ */
+class ManifestError extends PortResolverError {
+  constructor(message, file = null) {
+    super(message, 'EMANIFEST');
+    this.file = file;
+  }
+}
+
+/**
+ * The lease registry could not be locked, or a port is already leased
+ */
+class LeaseError extends PortResolverError {
+  constructor(message, port = null) {
+    super(message, 'ELEASE');
+    this.port = port;
+  }
+}
+
+/**
+ * An argument (port, range, signal, target...) could not be understood
+ */
+class InvalidArgumentError extends PortResolverError {
+  constructor(message) {
+    super(message, 'EINVALID');
+  }
+}
+
+/**
+ * The operating system's socket table could not be read
+ */
+class ScanError extends PortResolverError {
+  constructor(message) {
+    super(message, 'ESCAN');
+  }
+}
+
+/**
+ * A configuration file (user or project profiles) is invalid, or a profile is unknown
+ */
+class ConfigError extends PortResolverError {
+  constructor(message, file = null) {
+    super(message, 'ECONFIG');
+    this.file = file;
+  }
+}
+
+/**
+ * A compose file is missing or invalid, or a required variable is unset
+ */
+class ComposeError extends PortResolverError {
+  constructor(message, file = null) {
+    super(message, 'ECOMPOSE');
+    this.file = file;
+  }
+}
+
+/**
+ * Ports did not reach the awaited state before the deadline
+ */
+class WaitTimeoutError extends PortResolverError {
+  constructor(message, details = {}) {
+    super(message, 'ETIMEOUT');
+    Object.assign(this, details);
+  }
+}
+
+module.exports = {
+  PortResolverError,
+  NoAvailablePortError,
+  ManifestError,
+  LeaseError,
+  InvalidArgumentError,
+  ScanError,
+  ConfigError,
+  ComposeError,
+  WaitTimeoutError
+};
@@ -0,0 +1,446 @@
+const crypto = require('crypto');
+const net = require('net');
+const tls = require('tls');
+const PortProbe = require('./probe');
+
+// Per-probe limit; every probe is a fresh local connection
+const DEFAULT_TIMEOUT = 500;
+
+// How long to wait for servers that speak first (MySQL, SSH)
+const DEFAULT_BANNER_TIMEOUT = 250;
+
+// Stop reading a response after this many bytes
+const MAX_RESPONSE_BYTES = 64 * 1024;
+
+// Listeners probed at once
+const DEFAULT_CONCURRENCY = 16;
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Postgres SSLRequest: length 8, code 80877103
+const POSTGRES_SSL_REQUEST = Buffer.from([0x00, 0x00, 0x00, 0x08, 0x04, 0xd2, 0x16, 0x2f]);
+
+const MONGODB_OP_MSG = 2013;
+const MONGODB_OP_REPLY = 1;
+
+/**
+ * Identifies what is actually listening on a port
+ *
+ * Connects locally and tries, in order, each on its own connection:
+ *   banner     servers that greet first: MySQL, SSH
+ *   tls        TLS handshake (then HTTP over it)
+ *   http       status, Server header, page title; WebSocket upgrade
+ *   postgres   SSLRequest
+ *   redis      PING
+ *   mongodb    OP_MSG hello
+ *
+ * identify() returns { port, host, protocol, tls, summary, details, elapsed }
+ * where protocol is 'http', 'https', 'websocket', 'tls', 'postgres', 'mysql',
+ * 'redis', 'mongodb', 'ssh', 'unknown' (answered, not recognized) or null
+ * (no connection or no answer).
+ */
+class PortFingerprinter {
+  constructor(options = {}) {
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.bannerTimeout = options.bannerTimeout || Math.min(this.timeout, DEFAULT_BANNER_TIMEOUT);
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+  }
+
+  /**
+   * Fingerprint one port
+   */
+  async identify(port, host = '127.0.0.1') {
+    const started = Date.now();
+    const result = await this.detect(port, host);
+    return {
+      port,
+      host,
+      protocol: result.protocol,
+      tls: Boolean(result.details.tls),
+      summary: PortFingerprinter.summarize(result.protocol, result.details),
+      details: result.details,
+      elapsed: Date.now() - started
+    };
+  }
+
+  /**
+   * Fingerprint scan records, once per port and address
+   * Returns a Map of "address port" -> fingerprint; UDP records are skipped.
+   */
+  async identifyPorts(ports) {
+    const targets = new Map();
+    for (const p of ports) {
+      if (String(p.protocol || 'tcp').toLowerCase().startsWith('tcp')) {
+        const host = PortFingerprinter.connectHost(p.address);
+        targets.set(`${host} ${p.port}`, { port: p.port, host });
+      }
+    }
+
+    const entries = [...targets.entries()];
+    const results = await PortProbe.map(entries, this.concurrency, ([, target]) => this.identify(target.port, target.host));
+    return new Map(entries.map(([key], index) => [key, results[index]]));
+  }
+
+  /**
+   * Helper: Run the probes until one recognizes the service
+   */
+  async detect(port, host) {
+    const greeting = await this.exchange(host, port, null, { timeout: this.bannerTimeout });
+    if (!greeting.connected) {
+      return { protocol: null, details: { error: greeting.error } };
+    }
+    if (greeting.data.length > 0) {
+      return PortFingerprinter.parseBanner(greeting.data);
+    }
+
+    const certificate = await this.tlsHandshake(host, port);
+    if (certificate) {
+      const http = PortFingerprinter.parseHttp((await this.exchange(host, port, PortFingerprinter.httpRequest(host, port), {
+        tls: true,
+        until: PortFingerprinter.httpComplete
+      })).data);
+      return { protocol: http ? 'https' : 'tls', details: { tls: certificate, ...(http ? { http } : {}) } };
+    }
+
+    const response = await this.exchange(host, port, PortFingerprinter.httpRequest(host, port), {
+      until: PortFingerprinter.httpComplete
+    });
+    const http = PortFingerprinter.parseHttp(response.data);
+    if (http && http.mongodb) {
+      return { protocol: 'mongodb', details: {} };
+    }
+    if (http) {
+      const websocket = await this.websocketProbe(host, port);
+      const protocol = websocket && (http.status === 426 || http.status >= 400) ? 'websocket' : 'http';
+      return { protocol, details: { http, ...(websocket ? { websocket } : {}) } };
+    }
+
+    const postgres = await this.exchange(host, port, POSTGRES_SSL_REQUEST, { until: data => data.length >= 1 });
+    if (postgres.data.length === 1 && (postgres.data[0] === 0x53 || postgres.data[0] === 0x4e)) {
+      return { protocol: 'postgres', details: { ssl: postgres.data[0] === 0x53 } };
+    }
+
+    const redis = await this.exchange(host, port, 'PING\r\n', { until: data => data.includes('\r\n') });
+    const reply = redis.data.toString('utf8');
+    if (/^(\+PONG|-NOAUTH|-DENIED|-WRONGPASS)/.test(reply)) {
+      return { protocol: 'redis', details: { authRequired: !reply.startsWith('+PONG') } };
+    }
+
+    const requestId = crypto.randomBytes(4).readInt32LE(0) & 0x7fffffff;
+    const mongo = await this.exchange(host, port, PortFingerprinter.mongoHello(requestId), {
+      until: data => data.length >= 16 && data.length >= data.readInt32LE(0)
+    });
+    if (PortFingerprinter.isMongoReply(mongo.data, requestId)) {
+      return { protocol: 'mongodb', details: {} };
+    }
+
+    const answered = [response, postgres, redis, mongo].find(r => r.data.length > 0);
+    return answered
+      ? { protocol: 'unknown', details: { banner: PortFingerprinter.printable(answered.data) } }
+      : { protocol: null, details: {} };
+  }
+
+  /**
+   * Helper: Connect, optionally send a payload, and collect the reply
+   * Resolves when `until(data)` holds, the server closes, or the timeout hits;
+   * never rejects. Returns { connected, data, error }.
+   */
+  exchange(host, port, payload, options = {}) {
+    const timeout = options.timeout || this.timeout;
+    const until = options.until || (() => false);
+
+    return new Promise((resolve) => {
+      const chunks = [];
+      let length = 0;
+      let connected = false;
+      let settled = false;
+
+      const socket = options.tls
+        ? tls.connect({ host, port, rejectUnauthorized: false, servername: net.isIP(host) ? undefined : host })
+        : net.connect({ host, port });
+
+      const finish = (error = null) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        socket.destroy();
+        resolve({ connected, data: Buffer.concat(chunks, length), error: error && (error.code || error.message) });
+      };
+
+      const timer = setTimeout(() => finish(connected ? null : { code: 'ETIMEDOUT' }), timeout);
+
+      socket.once(options.tls ? 'secureConnect' : 'connect', () => {
+        connected = true;
+        if (payload) {
+          socket.write(payload);
+        }
+      });
+      socket.on('data', (chunk) => {
+        chunks.push(chunk);
+        length += chunk.length;
+        const data = Buffer.concat(chunks, length);
+        if (length >= MAX_RESPONSE_BYTES || until(data)) {
+          finish();
+        }
+      });
+      socket.once('end', () => finish());
+      socket.once('close', () => finish());
+      socket.once('error', error => finish(connected ? null : error));
+    });
+  }
+
+  /**
+   * Helper: TLS handshake; resolves with certificate details, or null
+   */
+  tlsHandshake(host, port) {
+    return new Promise((resolve) => {
+      const socket = tls.connect({
+        host,
+        port,
+        rejectUnauthorized: false,
+        ALPNProtocols: ['h2', 'http/1.1'],
+        servername: net.isIP(host) ? undefined : host
+      });
+      const finish = (value) => {
+        clearTimeout(timer);
+        socket.destroy();
+        resolve(value);
+      };
+      const timer = setTimeout(() => finish(null), this.timeout);
+
+      socket.once('secureConnect', () => {
+        const certificate = socket.getPeerCertificate() || {};
+        const subject = certificate.subject || {};
+        const issuer = certificate.issuer || {};
+        finish({
+          version: socket.getProtocol(),
+          alpn: socket.alpnProtocol || null,
+          subject: subject.CN || null,
+          issuer: issuer.CN || issuer.O || null,
+          validTo: certificate.valid_to || null,
+          selfSigned: Boolean(subject.CN) && subject.CN === issuer.CN
+        });
+      });
+      socket.once('error', () => finish(null));
+    });
+  }
+
+  /**
+   * Helper: Attempt a WebSocket upgrade; resolves with { subprotocol } or null
+   * Vite's HMR socket only upgrades when asked for its "vite-hmr" subprotocol.
+   */
+  async websocketProbe(host, port) {
+    for (const subprotocol of [null, 'vite-hmr']) {
+      const key = crypto.randomBytes(16).toString('base64');
+      const response = await this.exchange(host, port, PortFingerprinter.websocketRequest(host, port, key, subprotocol), {
+        until: data => data.includes('\r\n\r\n')
+      });
+      const http = PortFingerprinter.parseHttp(response.data);
+      const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+      if (http && http.status === 101 && http.headers['sec-websocket-accept'] === accept) {
+        return { subprotocol: http.headers['sec-websocket-protocol'] || null };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Helper: Recognize a server greeting
+   */
+  static parseBanner(data) {
+    // MySQL handshake: 3-byte length, sequence 0, protocol 10, NUL-terminated version
+    if (data.length > 5 && data[3] === 0 && data[4] === 0x0a) {
+      const end = data.indexOf(0, 5);
+      return { protocol: 'mysql', details: { version: data.toString('latin1', 5, end > 5 ? end : data.length) } };
+    }
+    // MySQL refusing the client host: error packet 0xff
+    if (data.length > 5 && data[3] === 0 && data[4] === 0xff) {
+      return { protocol: 'mysql', details: { error: PortFingerprinter.printable(data.slice(7)) } };
+    }
+
+    const text = data.toString('utf8');
+    if (text.startsWith('SSH-')) {
+      return { protocol: 'ssh', details: { banner: text.split('\r\n')[0].trim() } };
+    }
+    return { protocol: 'unknown', details: { banner: PortFingerprinter.printable(data) } };
+  }
+
+  /**
+   * Helper: Parse an HTTP response head and page title, or null
+   */
+  static parseHttp(data) {
+    const text = data.toString('utf8');
+    const status = text.match(/^HTTP\/\d(?:\.\d)? (\d{3})/);
+    if (!status) {
+      return null;
+    }
+
+    const headerEnd = text.indexOf('\r\n\r\n');
+    const headers = {};
+    for (const line of text.slice(0, headerEnd === -1 ? text.length : headerEnd).split('\r\n').slice(1)) {
+      const colon = line.indexOf(':');
+      if (colon > 0) {
+        headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+      }
+    }
+
+    const body = headerEnd === -1 ? '' : text.slice(headerEnd + 4);
+    const title = body.match(/<title[^>]*>([^<]*)<\/title>/i);
+    const result = {
+      status: parseInt(status[1]),
+      server: headers.server || headers['x-powered-by'] || null,
+      title: title ? title[1].replace(/\s+/g, ' ').trim() : null,
+      headers
+    };
+
+    // mongod answers HTTP on its wire port with a warning page
+    if (/trying to access MongoDB over HTTP/i.test(body)) {
+      result.mongodb = true;
+    }
+    return result;
+  }
+
+  /**
+   * Helper: Whether an HTTP response has been read far enough
+   */
+  static httpComplete(data) {
+    const text = data.toString('utf8');
+    if (!/^HTTP\//.test(text) && text.length >= 5) {
+      return true;
+    }
+    return /<\/title>/i.test(text);
+  }
+
+  /**
+   * Helper: Plain GET request
+   */
+  static httpRequest(host, port) {
+    return `GET / HTTP/1.1\r\nHost: ${PortFingerprinter.hostHeader(host, port)}\r\n` +
+      'User-Agent: port-resolver\r\nAccept: text/html,*/*\r\nConnection: close\r\n\r\n';
+  }
+
+  /**
+   * Helper: WebSocket upgrade request
+   */
+  static websocketRequest(host, port, key, subprotocol = null) {
+    return `GET / HTTP/1.1\r\nHost: ${PortFingerprinter.hostHeader(host, port)}\r\n` +
+      'Upgrade: websocket\r\nConnection: Upgrade\r\n' +
+      `Sec-WebSocket-Key: ${key}\r\nSec-WebSocket-Version: 13\r\n` +
+      (subprotocol ? `Sec-WebSocket-Protocol: ${subprotocol}\r\n` : '') +
+      '\r\n';
+  }
+
+  /**
+   * Helper: Host header value; IPv6 literals go in brackets
+   */
+  static hostHeader(host, port) {
+    return net.isIPv6(host) ? `[${host}]:${port}` : `${host}:${port}`;
+  }
+
+  /**
+   * Helper: OP_MSG { hello: 1, $db: "admin" }
+   */
+  static mongoHello(requestId) {
+    const element = (type, name, value) => Buffer.concat([Buffer.from([type]), Buffer.from(`${name}\0`), value]);
+    const int32 = (value) => {
+      const buffer = Buffer.alloc(4);
+      buffer.writeInt32LE(value);
+      return buffer;
+    };
+    const string = value => Buffer.concat([int32(Buffer.byteLength(value) + 1), Buffer.from(`${value}\0`)]);
+
+    const elements = Buffer.concat([element(0x10, 'hello', int32(1)), element(0x02, '$db', string('admin'))]);
+    const document = Buffer.concat([int32(elements.length + 5), elements, Buffer.from([0])]);
+    // flagBits, then a kind-0 section holding the document
+    const body = Buffer.concat([int32(0), Buffer.from([0]), document]);
+
+    const header = Buffer.alloc(16);
+    header.writeInt32LE(16 + body.length, 0);
+    header.writeInt32LE(requestId, 4);
+    header.writeInt32LE(0, 8);
+    header.writeInt32LE(MONGODB_OP_MSG, 12);
+    return Buffer.concat([header, body]);
+  }
+
+  /**
+   * Helper: Whether data is a MongoDB reply to our request
+   */
+  static isMongoReply(data, requestId) {
+    if (data.length < 16) {
+      return false;
+    }
+    const opCode = data.readInt32LE(12);
+    return data.readInt32LE(8) === requestId && (opCode === MONGODB_OP_MSG || opCode === MONGODB_OP_REPLY);
+  }
+
+  /**
+   * Helper: Address to connect to for a listener bound to `address`
+   * Wildcard binds are reached over loopback.
+   */
+  static connectHost(address) {
+    const host = String(address || '').replace(/^\[|\]$/g, '');
+    if (!host || host === '*' || host === '0.0.0.0') {
+      return '127.0.0.1';
+    }
+    if (host === '::') {
+      return '::1';
+    }
+    return host;
+  }
+
+  /**
+   * Helper: First printable line of a reply, for display
+   */
+  static printable(data) {
+    return data.toString('latin1').split(/\r?\n/)[0].replace(/[^\x20-\x7e]/g, '.').slice(0, 60);
+  }
+
+  /**
+   * One-line description of a fingerprint
+   */
+  static summarize(protocol, details = {}) {
+    const http = details.http;
+    const describeHttp = (label) => {
+      const parts = [`${label} ${http.status}`];
+      if (http.server) parts.push(http.server);
+      if (http.title) parts.push(`"${http.title}"`);
+      if (details.websocket) {
+        parts.push(details.websocket.subprotocol === 'vite-hmr' ? '+ Vite HMR' : '+ WebSocket');
+      }
+      return parts.join(' ');
+    };
+
+    switch (protocol) {
+      case 'http':
+        return describeHttp('HTTP');
+      case 'https':
+        return describeHttp('HTTPS');
+      case 'websocket':
+        return details.websocket.subprotocol === 'vite-hmr'
+          ? 'WebSocket (Vite HMR)'
+          : `WebSocket${details.websocket.subprotocol ? ` (${details.websocket.subprotocol})` : ''}`;
+      case 'tls':
+        return `TLS ${details.tls.version || ''}${details.tls.subject ? ` CN=${details.tls.subject}` : ''}`.trim();
+      case 'postgres':
+        return `PostgreSQL (SSL ${details.ssl ? 'on' : 'off'})`;
+      case 'mysql':
+        return details.version ? `MySQL ${details.version}` : 'MySQL';
+      case 'redis':
+        return details.authRequired ? 'Redis (auth required)' : 'Redis';
+      case 'mongodb':
+        return 'MongoDB';
+      case 'ssh':
+        return details.banner;
+      case 'unknown':
+        return `Unknown: ${details.banner}`;
+      default:
+        return details.error ? `No connection (${details.error})` : 'No response';
+    }
+  }
+}
+
+PortFingerprinter.DEFAULT_TIMEOUT = DEFAULT_TIMEOUT;
+
+module.exports = PortFingerprinter;
@@ -0,0 +1,210 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const LeaseRegistry = require('./leases');
+const PortConfig = require('./config');
+const { InvalidArgumentError } = require('./errors');
+
+const TYPES = ['kill', 'snapshot', 'opened', 'closed', 'changed'];
+
+const TIME_UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+/**
+ * Append-only occupancy history and kill audit log (JSONL, one entry per line)
+ *
+ * Entries:
+ *   kill      { timestamp, type, port, pid, command, args, cwd, uid, user, signal, success, message, container }
+ *   snapshot  { timestamp, type, ports: [{ port, pid, command, protocol, address }] }
+ *   opened / closed / changed   watch events as emitted by PortWatcher
+ *
+ * Writing never throws: a full disk or read-only cache must not break a kill.
+ */
+class PortHistory {
+  constructor(options = {}) {
+    this.file = options.file || path.join(LeaseRegistry.defaultCacheDir(), 'history.jsonl');
+  }
+
+  /**
+   * Append entries; returns false when the log couldn't be written
+   */
+  async record(...entries) {
+    const timestamp = new Date().toISOString();
+    const lines = entries.map(entry => JSON.stringify({ timestamp, ...entry }) + '\n').join('');
+    if (!lines) {
+      return true;
+    }
+
+    try {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      // One write per call, so concurrent writers interleave whole lines
+      await fs.promises.appendFile(this.file, lines);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Read every entry, oldest first; lines that don't parse are skipped
+   */
+  async read() {
+    const entries = [];
+    let input;
+    try {
+      input = fs.createReadStream(this.file, 'utf8');
+      for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+        try {
+          const entry = JSON.parse(line);
+          if (entry && TYPES.includes(entry.type)) {
+            entries.push(entry);
+          }
+        } catch (error) {
+          // Torn or foreign line
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Find history rows, oldest first
+   * Snapshots are expanded to one row per port, so every row has a port.
+   *
+   *   ports, ranges, profiles   only these ports (profiles as from PortConfig)
+   *   process                   command or command line contains this, or a PID
+   *   since, until              timestamps in ms, or anything parseTime accepts
+   *   types                     entry types (kill, snapshot, opened, closed, changed)
+   *   limit                     keep only the newest rows
+   */
+  async query(options = {}) {
+    const ports = options.ports || [];
+    const ranges = options.ranges || [];
+    const profiles = options.profiles || [];
+    const since = options.since !== undefined && options.since !== null ? PortHistory.parseTime(options.since) : null;
+    const until = options.until !== undefined && options.until !== null ? PortHistory.parseTime(options.until) : null;
+    const types = options.types ? PortHistory.parseTypes(options.types) : null;
+    const search = options.process !== undefined && options.process !== null ? String(options.process).toLowerCase() : null;
+
+    const coversPort = (port) => (ports.length === 0 && ranges.length === 0 && profiles.length === 0) ||
+      ports.includes(port) ||
+      ranges.some(r => port >= r.start && port <= r.end) ||
+      profiles.some(profile => PortConfig.matches(profile, port));
+
+    const matchesProcess = row => search === null ||
+      String(row.pid) === search ||
+      [row.command, row.args, row.previousCommand].some(text => text && text.toLowerCase().includes(search));
+
+    const rows = [];
+    for (const entry of await this.read()) {
+      const time = Date.parse(entry.timestamp);
+      if ((since !== null && time < since) || (until !== null && time > until) ||
+          (types && !types.includes(entry.type))) {
+        continue;
+      }
+
+      const expanded = entry.type === 'snapshot'
+        ? (entry.ports || []).map(p => ({ timestamp: entry.timestamp, type: 'snapshot', ...p }))
+        : [entry];
+      rows.push(...expanded.filter(row => coversPort(row.port) && matchesProcess(row)));
+    }
+
+    return options.limit > 0 ? rows.slice(-options.limit) : rows;
+  }
+
+  /**
+   * Group rows by port and process to surface recurring offenders and flaky ports
+   * Returns [{ port, command, kills, seen, changes, first, last }], busiest first;
+   * `seen` counts snapshots and openings, `changes` owner changes to this process.
+   */
+  static summarize(rows) {
+    const groups = new Map();
+    for (const row of rows) {
+      const key = `${row.port}\0${row.command || ''}`;
+      if (!groups.has(key)) {
+        groups.set(key, { port: row.port, command: row.command || '', kills: 0, seen: 0, changes: 0, first: row.timestamp, last: row.timestamp });
+      }
+
+      const group = groups.get(key);
+      if (row.type === 'kill') {
+        group.kills++;
+      } else if (row.type === 'changed') {
+        group.changes++;
+      } else if (row.type !== 'closed') {
+        group.seen++;
+      }
+      group.last = row.timestamp;
+    }
+
+    const weight = g => g.kills + g.changes + g.seen;
+    return [...groups.values()].sort((a, b) => weight(b) - weight(a) || a.port - b.port);
+  }
+
+  /**
+   * Parse a point in time into milliseconds
+   * Accepts a duration ago ("30m", "2h", "1d", "1w"), a time today ("09:30")
+   * or a date ("2024-05-01", "2024-05-01T09:00").
+   */
+  static parseTime(value, now = Date.now()) {
+    if (typeof value === 'number') {
+      return value;
+    }
+    if (value instanceof Date) {
+      return value.getTime();
+    }
+
+    const text = String(value).trim();
+    let match = text.match(/^(\d+(?:\.\d+)?)(s|m|h|d|w)$/);
+    if (match) {
+      return now - Math.round(parseFloat(match[1]) * TIME_UNITS[match[2]]);
+    }
+
+    match = text.match(/^(\d{1,2}):(\d{2})$/);
+    if (match) {
+      if (parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+        throw new InvalidArgumentError(`Invalid time of day: ${value}`);
+      }
+      const today = new Date(now);
+      today.setHours(parseInt(match[1]), parseInt(match[2]), 0, 0);
+      return today.getTime();
+    }
+
+    const time = Date.parse(text);
+    if (isNaN(time)) {
+      throw new InvalidArgumentError(`Invalid time: ${value} (e.g. 2h, 1d, 09:30, 2024-05-01T09:00)`);
+    }
+    return time;
+  }
+
+  /**
+   * Parse entry types: an array or a comma-separated list
+   */
+  static parseTypes(value) {
+    const types = [].concat(value).flatMap(v => String(v).split(',')).map(t => t.trim().toLowerCase()).filter(Boolean);
+    for (const type of types) {
+      if (!TYPES.includes(type)) {
+        throw new InvalidArgumentError(`Unknown history type "${type}" (expected ${TYPES.join(', ')})`);
+      }
+    }
+    return types;
+  }
+
+  /**
+   * Helper: Name of the user running this process, or null
+   */
+  static currentUser() {
+    try {
+      return os.userInfo().username;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+PortHistory.TYPES = TYPES;
+
+module.exports = PortHistory;
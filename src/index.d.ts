@@ -0,0 +1,868 @@
+import { EventEmitter } from 'events';
+
+// ---------------------------------------------------------------------------
+// Records
+// ---------------------------------------------------------------------------
+
+export interface ContainerSummary {
+  id: string;
+  name: string;
+  image: string;
+  composeProject: string | null;
+  runtime: 'docker' | 'podman' | string;
+}
+
+export interface PublishedPort {
+  hostIp: string;
+  hostPort: number;
+  containerPort: number;
+  protocol: string;
+}
+
+export interface Container extends ContainerSummary {
+  ports: PublishedPort[];
+}
+
+export interface PortInfo {
+  port: number;
+  /** 0 when the owning process could not be determined */
+  pid: number;
+  protocol: string;
+  address: string;
+  command?: string;
+  state: string;
+  /** Present after PortScanner.enrichPorts */
+  cwd?: string | null;
+  args?: string;
+  project?: string | null;
+  gitRoot?: string | null;
+  framework?: string | null;
+  container?: ContainerSummary;
+  /** Present on results of PortScanner.getProcessInfo */
+  processName?: string;
+  processArgs?: string;
+  /** Present after PortScanner.identifyPorts, or getProcessInfo with identify */
+  fingerprint?: Fingerprint;
+}
+
+export type ServiceProtocol =
+  | 'http' | 'https' | 'websocket' | 'tls' | 'postgres' | 'mysql' | 'redis' | 'mongodb' | 'ssh' | 'unknown';
+
+export interface Fingerprint {
+  port: number;
+  host: string;
+  /** null when nothing accepted the connection or answered */
+  protocol: ServiceProtocol | null;
+  tls: boolean;
+  /** e.g. 'HTTP 200 nginx/1.25 "Dashboard"', 'PostgreSQL (SSL on)', 'MySQL 8.0.36' */
+  summary: string;
+  details: {
+    http?: { status: number; server: string | null; title: string | null; headers: Record<string, string> };
+    tls?: { version: string | null; alpn: string | null; subject: string | null; issuer: string | null; validTo: string | null; selfSigned: boolean };
+    websocket?: { subprotocol: string | null };
+    version?: string;
+    ssl?: boolean;
+    authRequired?: boolean;
+    banner?: string;
+    error?: string;
+  };
+  elapsed: number;
+}
+
+export interface ProcessDetails {
+  cwd: string | null;
+  args: string;
+  project: string | null;
+  gitRoot: string | null;
+  framework: string | null;
+}
+
+export type BindFailureReason = 'EADDRINUSE' | 'EACCES' | 'EADDRNOTAVAIL';
+
+export type Protocol = 'tcp' | 'udp' | 'both';
+
+export interface HostCheck {
+  host: string;
+  protocol: 'tcp' | 'udp';
+  available: boolean;
+  reason: BindFailureReason | null;
+}
+
+export interface PortCheck {
+  port: number;
+  available: boolean;
+  reason: BindFailureReason | null;
+  hosts: HostCheck[];
+}
+
+export type SearchStrategy = 'up' | 'nearest' | 'random' | 'os';
+
+export interface SearchOptions {
+  strategy?: SearchStrategy;
+  /** "3000-3999", [3000, 3999] or { start, end } */
+  range?: string | [number, number] | PortRange;
+  exclude?: number[];
+  skipWellKnown?: boolean;
+  skipEphemeral?: boolean;
+  /** Makes the random strategy reproducible */
+  seed?: number | string;
+  /** Overrides the ephemeral range read from the OS */
+  ephemeralRange?: PortRange;
+}
+
+export interface PortSummary {
+  total: number;
+  ports: number[];
+  byPort: Record<number, PortInfo[]>;
+}
+
+export interface Lease {
+  port: number;
+  owner: string;
+  pid: number;
+  createdAt: string;
+  expiresAt: string;
+}
+
+export interface LeaseOptions {
+  owner?: string;
+  pid?: number;
+  /** Lifetime in seconds */
+  ttl?: number;
+}
+
+export interface KillStage {
+  signal: string;
+  /** Milliseconds to wait for the port to free up after sending the signal */
+  timeout: number;
+}
+
+export interface KillOptions {
+  stages?: KillStage[];
+  tree?: boolean;
+  group?: boolean;
+  dryRun?: boolean;
+  killProxy?: boolean;
+  pollInterval?: number;
+  policy?: KillPolicy;
+  confirm?: (question: string) => Promise<boolean> | boolean;
+  /** Used by the killPort/killPorts functions; null leaves no audit entry */
+  history?: PortHistory | null;
+}
+
+export interface KillResult {
+  success: boolean;
+  message: string;
+  pid?: number;
+  name?: string;
+  /** The signal that finally freed the port */
+  signal?: string | null;
+  refused?: boolean;
+  code?: PolicyRefusalCode;
+  dryRun?: boolean;
+  uid?: number | null;
+  targets?: number[];
+  group?: boolean;
+  signals?: string[];
+  container?: Container;
+  /** The process no longer listened on the port; nothing was signalled */
+  gone?: boolean;
+}
+
+export interface AutoResolveResult extends KillResult {
+  resolved: boolean;
+  port: number;
+}
+
+export type PolicyRefusalCode = 'PRIVILEGED_PORT' | 'PROTECTED_PROCESS' | 'ROOT_PROCESS' | 'SYSTEM_PROCESS' | 'OTHER_USER';
+
+export type PolicyVerdict =
+  | { allowed: true }
+  | { allowed: false; code: PolicyRefusalCode; reason: string };
+
+export interface PortRange {
+  start: number;
+  end: number;
+}
+
+export interface ManifestService {
+  name: string;
+  port: number;
+  range: PortRange;
+  env: string;
+  protocol?: Protocol;
+}
+
+export interface ServiceCheck extends ManifestService {
+  available: boolean;
+  holders: PortInfo[];
+  collidesWith: string[];
+  conflict: boolean;
+  fallback: number | null;
+}
+
+export interface Allocation {
+  name: string;
+  env: string;
+  preferred: number;
+  port: number;
+  moved: boolean;
+}
+
+export interface PortEvent {
+  type: 'opened' | 'closed' | 'changed';
+  timestamp: string;
+  port: number;
+  pid: number;
+  command: string;
+  protocol: string;
+  address: string;
+  previousPid?: number;
+  previousCommand?: string;
+}
+
+export interface RunResult {
+  code: number | null;
+  signal: NodeJS.Signals | null;
+  pid: number;
+}
+
+// ---------------------------------------------------------------------------
+// Classes
+// ---------------------------------------------------------------------------
+
+export class PortScanner {
+  static COMMON_PORTS: number[];
+  constructor(options?: { procRoot?: string; containers?: ContainerInspector; config?: PortConfig; fingerprinter?: PortFingerprinter });
+  platform: NodeJS.Platform;
+  procRoot: string;
+  getConfig(): PortConfig;
+  getActivePorts(): Promise<PortInfo[]>;
+  getActivePortsFromProc(): Promise<PortInfo[]>;
+  parseNetstatOutput(output: string): PortInfo[];
+  parseProcNet(content: string, protocol: 'tcp' | 'udp', ipv6?: boolean): Array<{
+    port: number;
+    inode: number;
+    protocol: string;
+    address: string;
+    state: string;
+  }>;
+  createSnapshot(): Promise<PortSnapshot>;
+  scanPort(port: number, snapshot?: PortSnapshot | null): Promise<PortInfo[]>;
+  scanRange(start: number, end: number, snapshot?: PortSnapshot | null): Promise<PortInfo[]>;
+  scanCommonPorts(snapshot?: PortSnapshot | null): Promise<PortInfo[]>;
+  scanProfile(name: string, snapshot?: PortSnapshot | null): Promise<PortInfo[]>;
+  filterByProtocol(ports: PortInfo[], protocol?: Protocol): PortInfo[];
+  getProcessInfo(port: number, options?: { identify?: boolean }): Promise<PortInfo | null>;
+  enrichPorts(ports: PortInfo[]): Promise<PortInfo[]>;
+  identifyPorts(ports: PortInfo[]): Promise<PortInfo[]>;
+  getProcessDetails(pid: number): Promise<ProcessDetails>;
+  displayPorts(ports: PortInfo[]): void;
+  getSummary(): Promise<PortSummary>;
+}
+
+export interface ResolverOptions {
+  leases?: LeaseRegistry | null;
+  /** Socket table used to find port holders (default: a new PortScanner) */
+  scanner?: PortScanner;
+  /** Kill audit log; null records nothing */
+  history?: PortHistory | null;
+  containers?: ContainerInspector;
+  host?: string | string[];
+  protocol?: Protocol;
+  /** Ports bind-probed at once by range sweeps and searches (default 128) */
+  concurrency?: number;
+  /** Framework preferences; defaults to PortConfig.load() */
+  config?: PortConfig;
+}
+
+export class PortResolver {
+  static getFrameworkSuggestions(): Record<string, number[]>;
+  static detectFramework(args: string, packageJson?: object | null): string | null;
+  static parseKillStages(spec: string): KillStage[];
+  static parseProtocol(protocol: string): Protocol;
+  constructor(options?: ResolverOptions);
+  leases: LeaseRegistry | null;
+  /** Bind address(es) for availability checks; undefined or 'all' checks every interface */
+  host?: string | string[];
+  protocol: Protocol;
+  probe: PortProbe;
+  getConfig(): PortConfig;
+  isPortAvailable(port: number, host?: string | string[], protocol?: Protocol): Promise<boolean>;
+  checkPort(port: number, host?: string | string[], protocol?: Protocol): Promise<PortCheck>;
+  findAvailablePort(startPort?: number, maxAttempts?: number, options?: SearchOptions): Promise<number>;
+  requestOsPort(host?: string | string[]): Promise<number>;
+  reservePort(startPort?: number, options?: LeaseOptions & SearchOptions & { maxAttempts?: number }): Promise<Lease>;
+  releasePort(port: number): Promise<Lease | null>;
+  getLeases(): Promise<Lease[]>;
+  getPortPid(port: number): Promise<number | null>;
+  /** Listeners on exactly this port, for the resolver's protocol */
+  getPortHolders(port: number): Promise<PortInfo[]>;
+  holdsPort(port: number, pids: number | number[]): Promise<boolean>;
+  killPort(port: number, force?: boolean, options?: KillOptions): Promise<KillResult>;
+  /** Kill one process on a port; nothing is signalled unless it still holds the port */
+  killProcess(port: number, pid: number, force?: boolean, options?: KillOptions): Promise<KillResult>;
+  /** Kill exactly these processes; each is checked to still hold its port first */
+  killProcesses(targets: Array<{ port: number; pid: number }>, force?: boolean, options?: KillOptions): Promise<Array<KillResult & { port: number }>>;
+  killPorts(ports: number[], force?: boolean, options?: KillOptions): Promise<Array<KillResult & { port: number }>>;
+  autoResolve(port: number, force?: boolean, options?: KillOptions): Promise<AutoResolveResult>;
+  getUsedPortsInRange(start: number, end: number, options?: { snapshot?: PortSnapshot | null }): Promise<number[]>;
+  findPortForFramework(framework: string): Promise<number>;
+}
+
+export class PortSnapshot {
+  static matchProtocol(entries: PortInfo[], protocol?: Protocol): PortInfo[];
+  constructor(ports: PortInfo[], takenAt?: Date);
+  ports: PortInfo[];
+  takenAt: Date;
+  scanPort(port: number, protocol?: Protocol): PortInfo[];
+  scanRange(start: number, end: number, protocol?: Protocol): PortInfo[];
+  scanPorts(ports: number[], protocol?: Protocol): PortInfo[];
+  isInUse(port: number, protocol?: Protocol): boolean;
+}
+
+/** Result of PortProbe#checkPorts; ports found in a snapshot carry their holders */
+export interface ProbeResult extends PortCheck {
+  holders?: PortInfo[];
+}
+
+export class PortProbe {
+  static DEFAULT_CONCURRENCY: number;
+  static map<T, R>(items: T[], concurrency: number, fn: (item: T, index: number) => Promise<R>): Promise<R[]>;
+  constructor(resolver: PortResolver, options?: { concurrency?: number });
+  concurrency: number;
+  checkPorts(ports: number[], options?: { snapshot?: PortSnapshot | null }): Promise<ProbeResult[]>;
+  findFirstAvailable(candidates: number[], options?: { snapshot?: PortSnapshot | null }): Promise<number | null>;
+}
+
+export class PortSearch {
+  static STRATEGIES: SearchStrategy[];
+  static WELL_KNOWN_PORTS: number[];
+  static parseStrategy(strategy: string): SearchStrategy;
+  static parseRange(range: string | [number, number] | PortRange): PortRange;
+  static parseSeed(seed: number | string): number;
+  static readEphemeralRange(file?: string): PortRange;
+  static createRandom(seed?: number | null): () => number;
+  static shuffle<T>(items: T[], random?: () => number): T[];
+  constructor(options?: SearchOptions);
+  strategy: SearchStrategy;
+  range: PortRange | null;
+  candidates(startPort: number, maxAttempts?: number): number[];
+  bounds(startPort: number, maxAttempts?: number): PortRange;
+  isExcluded(port: number): boolean;
+}
+
+export interface PortDashboardOptions {
+  scanner?: PortScanner;
+  /** Used for free-port suggestions */
+  resolver?: PortResolver;
+  /** Used for kills; should check both protocols (default: a PortResolver with protocol 'both') */
+  killResolver?: PortResolver;
+  input?: NodeJS.ReadStream;
+  output?: NodeJS.WriteStream;
+  /** Refresh interval in milliseconds (default 2000) */
+  interval?: number;
+  /** Extra options for kills started from the dashboard (confirmation is always asked) */
+  killOptions?: Omit<KillOptions, 'confirm'>;
+}
+
+export class PortDashboard {
+  static SORT_KEYS: Array<'port' | 'pid' | 'command' | 'project'>;
+  static filterRows(rows: PortInfo[], filter: string): PortInfo[];
+  static sortRows(rows: PortInfo[], key?: 'port' | 'pid' | 'command' | 'project', reverse?: boolean): PortInfo[];
+  static copyToClipboard(text: string, output?: NodeJS.WritableStream): Promise<string>;
+  constructor(options?: PortDashboardOptions);
+  /** Takes over the terminal; resolves when the user quits */
+  start(): Promise<void>;
+  stop(): void;
+  refresh(): Promise<void>;
+}
+
+export type ConfigSource = 'default' | 'user' | 'project';
+
+export interface PortProfile {
+  name: string;
+  description: string;
+  ports: number[];
+  ranges: PortRange[];
+  source: ConfigSource;
+}
+
+/** Profile in a config file: ports and "start-end" ranges, or null to remove it */
+export type ProfileSpec = Array<number | string> | { description?: string; ports: Array<number | string> } | null;
+
+export interface ConfigData {
+  profiles?: Record<string, ProfileSpec>;
+  frameworks?: Record<string, number[] | null>;
+}
+
+export class PortConfig {
+  static DEFAULT_PROFILES: Record<string, { description: string; ports: Array<number | string> }>;
+  static DEFAULT_FRAMEWORKS: Record<string, number[]>;
+  static defaultConfigDir(): string;
+  /** userFile / projectFile override discovery; false skips the layer */
+  static load(options?: { userFile?: string | false | null; projectFile?: string | false | null; cwd?: string }): PortConfig;
+  static defaults(): PortConfig;
+  static findUserFile(dir?: string): string | null;
+  static read(file: string): ConfigData;
+  static parseProfile(name: string, spec: ProfileSpec, file?: string | null): Omit<PortProfile, 'source'>;
+  static matches(profile: PortProfile, port: number): boolean;
+  static describePorts(profile: { ports: number[]; ranges: PortRange[] }): string;
+  constructor(profiles?: Record<string, PortProfile>, frameworks?: Record<string, { ports: number[]; source: ConfigSource }>, files?: Array<{ source: ConfigSource; file: string }>);
+  profiles: Record<string, PortProfile>;
+  frameworks: Record<string, { ports: number[]; source: ConfigSource }>;
+  files: Array<{ source: ConfigSource; file: string }>;
+  apply(data: ConfigData, source: ConfigSource, file?: string | null): this;
+  getProfile(name: string): PortProfile;
+  getFrameworkPorts(framework: string): number[] | null;
+  getFrameworkSuggestions(): Record<string, number[]>;
+}
+
+export interface ComposeBinding {
+  service: string;
+  /** Index of the entry in the service's `ports:` list */
+  entry: number;
+  hostIp: string;
+  hostPort: number;
+  /** Differs from hostPort for "9000-9010:80" entries, where any port in the range will do */
+  hostPortEnd: number;
+  containerPort: number;
+  protocol: string;
+}
+
+export interface ComposeCheck extends ComposeBinding {
+  file: string;
+  project: string;
+  holders: PortInfo[];
+  /** Held by this compose project's own running containers */
+  running: boolean;
+  collidesWith: string[];
+  conflict: boolean;
+  suggestion?: number | null;
+}
+
+export class ComposeFile {
+  static COMPOSE_FILES: string[];
+  static find(dir?: string): string | null;
+  static load(file?: string, options?: { env?: Record<string, string | undefined> }): ComposeFile;
+  static parse(data: unknown, options?: { file?: string; env?: Record<string, string | undefined> }): ComposeFile;
+  static interpolate<T>(value: T, env?: Record<string, string | undefined>, warnings?: string[], file?: string | null): T;
+  static parsePortEntry(entry: string | number | object): Array<Omit<ComposeBinding, 'service' | 'entry'>>;
+  static addressesOverlap(a: string, b: string): boolean;
+  static check(composeFiles: ComposeFile[], scanner: PortScanner): Promise<ComposeCheck[]>;
+  static suggest(results: ComposeCheck[], findPort: (binding: ComposeCheck, exclude: number[]) => Promise<number>): Promise<ComposeCheck[]>;
+  static overridePath(file: string): string;
+  constructor(file: string | null, project: string, bindings?: ComposeBinding[], rawServices?: object, warnings?: string[]);
+  file: string | null;
+  project: string;
+  bindings: ComposeBinding[];
+  warnings: string[];
+  buildOverride(results: ComposeCheck[]): string;
+  writeOverride(results: ComposeCheck[], target?: string): string;
+}
+
+export interface RewritePlan {
+  file: string;
+  kind: 'env' | 'vite' | 'package.json' | 'angular.json';
+  before: string;
+  after: string;
+  changes: number;
+}
+
+export class ConfigRewriter {
+  static ENV_FILES: string[];
+  static VITE_CONFIGS: string[];
+  static rewriteEnv(content: string, from: number, to: number): { content: string; changes: number };
+  static rewriteVite(content: string, from: number, to: number): { content: string; changes: number };
+  static rewritePackageJson(content: string, from: number, to: number): { content: string; changes: number };
+  static rewriteScript(script: string, from: number, to: number): { content: string; changes: number };
+  static rewriteAngular(content: string, from: number, to: number): { content: string; changes: number };
+  static diff(before: string, after: string, file?: string): string;
+  constructor(dir?: string);
+  dir: string;
+  readPackageJson(): Record<string, any> | null;
+  detectFramework(): string | null;
+  plan(from: number, to: number): RewritePlan[];
+  apply(changes: RewritePlan[]): Array<{ file: string; backup: string }>;
+}
+
+export interface ApplyOptions extends ResolverOptions, SearchOptions {
+  dir?: string;
+  /** Use this port instead of searching for one */
+  to?: number;
+  maxAttempts?: number;
+  dryRun?: boolean;
+}
+
+export interface ApplyResult {
+  from: number;
+  to: number;
+  framework: string | null;
+  dryRun: boolean;
+  files: Array<{ file: string; kind: RewritePlan['kind']; changes: number; diff: string; backup: string | null }>;
+}
+
+export type WaitCondition = 'listening' | 'free';
+
+export interface WaitOptions {
+  until?: WaitCondition;
+  mode?: 'all' | 'any';
+  /** Milliseconds, or a duration string ("30s", "500ms", "2m"); 0 waits forever. Default 30s */
+  timeout?: number | string;
+  /** Default 250ms */
+  interval?: number | string;
+  host?: string;
+  protocol?: Protocol;
+  /** Also require an HTTP response; true probes "/" */
+  http?: boolean | string;
+  /** Accepted statuses: "200", "2xx", "200-399" (default) or a comma-separated list */
+  status?: string;
+}
+
+export interface WaitState {
+  port: number;
+  ready: boolean;
+  /** 'unknown' when a privileged port couldn't be checked; the wait goes on */
+  state: WaitCondition | 'unknown' | null;
+  status: number | null;
+  holders: PortInfo[];
+  /** Milliseconds after the wait started */
+  readyAfter: number | null;
+}
+
+export interface WaitResult {
+  until: WaitCondition;
+  mode: 'all' | 'any';
+  ready: boolean;
+  elapsed: number;
+  ports: WaitState[];
+}
+
+export class PortWaiter {
+  static CONDITIONS: WaitCondition[];
+  static MODES: Array<'all' | 'any'>;
+  static parsePorts(ports: number | string | Array<number | string>): number[];
+  static parseDuration(value: number | string): number;
+  static parseStatus(value: string): Array<{ start: number; end: number }>;
+  static connect(host: string, port: number, timeout?: number): Promise<boolean>;
+  static httpStatus(host: string, port: number, path: string, timeout?: number): Promise<number | null>;
+  constructor(options: WaitOptions & { ports: number | string | Array<number | string>; resolver?: PortResolver; scanner?: PortScanner });
+  ports: number[];
+  until: WaitCondition;
+  mode: 'all' | 'any';
+  timeout: number;
+  interval: number;
+  wait(): Promise<WaitResult>;
+  check(port: number, snapshot?: PortSnapshot | null): Promise<Omit<WaitState, 'port' | 'readyAfter'>>;
+  isListening(port: number): Promise<boolean>;
+}
+
+export interface FingerprintOptions {
+  /** Per-probe timeout in milliseconds (default 500) */
+  timeout?: number;
+  /** How long to wait for a server greeting (default 250) */
+  bannerTimeout?: number;
+  /** Listeners probed at once by identifyPorts (default 16) */
+  concurrency?: number;
+}
+
+export class PortFingerprinter {
+  static DEFAULT_TIMEOUT: number;
+  static connectHost(address: string | null | undefined): string;
+  static summarize(protocol: ServiceProtocol | null, details?: Fingerprint['details']): string;
+  static parseHttp(data: Buffer): { status: number; server: string | null; title: string | null; headers: Record<string, string>; mongodb?: boolean } | null;
+  constructor(options?: FingerprintOptions);
+  timeout: number;
+  identify(port: number, host?: string): Promise<Fingerprint>;
+  /** Keys are "<host> <port>" */
+  identifyPorts(ports: Array<Pick<PortInfo, 'port' | 'address' | 'protocol'>>): Promise<Map<string, Fingerprint>>;
+}
+
+export type StaleSignal = 'cwd-missing' | 'orphaned' | 'duplicate' | 'old' | 'outside-workspace' | 'no-project';
+
+export interface StaleListener extends PortInfo {
+  /** Milliseconds the process has been running, when known */
+  age: number | null;
+  ppid: number | null;
+  parent: string | null;
+  evidence: Array<{ signal: StaleSignal; weight: number; detail: string }>;
+  score: number;
+  stale: boolean;
+  /** Why the listener was left out (kill policy, container), or null */
+  skipped: string | null;
+}
+
+export interface PruneOptions {
+  /** Duration string ("12h", default) or milliseconds */
+  maxAge?: number | string;
+  /** Project roots; working directories outside them count as evidence */
+  workspaces?: string | string[];
+  policy?: KillPolicy;
+}
+
+export class PortPruner {
+  static SIGNALS: Record<StaleSignal, number>;
+  static STALE_SCORE: number;
+  static parseElapsed(value: string): number | null;
+  static formatAge(ms: number): string;
+  constructor(options?: PruneOptions & { scanner?: PortScanner; resolver?: PortResolver });
+  maxAge: number;
+  workspaces: string[];
+  classify(ports?: PortInfo[] | null): Promise<StaleListener[]>;
+  getProcessStats(pids: number[]): Promise<Map<number, { ppid: number; parent: string | null; uid: number; age: number | null; name: string }>>;
+}
+
+export interface KillSelector {
+  /** Ports ("3000"), ranges ("3000-3010") and profile names ("common") */
+  targets?: Array<number | string>;
+  /** Process name contains this (case-insensitive) */
+  name?: string;
+  /** "me", a user name or a uid */
+  user?: string | number;
+  /** Working directory at or below this directory */
+  cwd?: string;
+  /** Only listeners of this protocol (default: both) */
+  protocol?: Protocol;
+}
+
+export interface SelectedListener extends PortInfo {
+  uid: number | null;
+}
+
+export class PortSelector {
+  static parseTargets(targets: Array<number | string>): { ports: number[]; ranges: PortRange[]; profiles: string[] };
+  static resolveUser(user: string): Promise<number>;
+  constructor(options?: KillSelector & { scanner?: PortScanner });
+  /** idle: ports named in targets that nothing listens on */
+  select(): Promise<{ matched: SelectedListener[]; idle: number[] }>;
+}
+
+export class PortManifest {
+  static find(dir?: string): string | null;
+  static load(file?: string): PortManifest;
+  static parse(data: unknown): ManifestService[];
+  constructor(services?: ManifestService[], file?: string | null);
+  services: ManifestService[];
+  file: string | null;
+  check(resolver: PortResolver, scanner: PortScanner): Promise<ServiceCheck[]>;
+  allocate(resolver: PortResolver): Promise<Allocation[]>;
+}
+
+export interface PortWatcherOptions {
+  scanner?: PortScanner;
+  /** Poll interval in milliseconds */
+  interval?: number;
+  ports?: number[];
+  ranges?: PortRange[];
+  common?: boolean;
+  /** Record the initial snapshot and every event */
+  history?: PortHistory | null;
+}
+
+export class PortWatcher extends EventEmitter {
+  static parseTargets(targets: string[]): { ports: number[]; ranges: PortRange[]; common: boolean };
+  static diff(previous: Map<number, PortInfo>, next: Map<number, PortInfo>, timestamp?: string): PortEvent[];
+  constructor(options?: PortWatcherOptions);
+  start(): Promise<this>;
+  stop(): void;
+  on(event: 'opened' | 'closed' | 'changed' | 'event', listener: (event: PortEvent) => void): this;
+  on(event: 'ready', listener: (ports: PortInfo[]) => void): this;
+  on(event: 'error', listener: (error: Error) => void): this;
+}
+
+export class PortRunner {
+  static substitutePort(args: string[], port: number): string[];
+  constructor(resolver: PortResolver);
+  preparePort(port: number, owner: string): Promise<Lease>;
+  run(command: string, args: string[], options: { port: number; env?: string | null }): Promise<RunResult>;
+}
+
+export type HistoryType = 'kill' | 'snapshot' | 'opened' | 'closed' | 'changed';
+
+/** One history row; snapshots are expanded to a row per port */
+export interface HistoryEntry {
+  timestamp: string;
+  type: HistoryType;
+  port: number;
+  pid: number | null;
+  command: string | null;
+  protocol?: string;
+  address?: string;
+  /** kill: full command line, working directory, owner and who killed it */
+  args?: string | null;
+  cwd?: string | null;
+  uid?: number | null;
+  user?: string | null;
+  signal?: string | null;
+  success?: boolean;
+  message?: string;
+  container?: { name: string; image: string } | null;
+  previousPid?: number;
+  previousCommand?: string;
+}
+
+export interface HistoryQuery {
+  ports?: number[];
+  ranges?: PortRange[];
+  profiles?: PortProfile[];
+  /** Process name or command line contains this, or a PID */
+  process?: string | number;
+  /** Milliseconds, a Date, a duration ago ("2h"), a time today ("09:30") or a date */
+  since?: number | string | Date;
+  until?: number | string | Date;
+  types?: HistoryType | HistoryType[] | string;
+  /** Keep only the newest rows */
+  limit?: number;
+}
+
+export interface HistorySummary {
+  port: number;
+  command: string;
+  kills: number;
+  /** Snapshots and openings */
+  seen: number;
+  /** Owner changes to this process */
+  changes: number;
+  first: string;
+  last: string;
+}
+
+export class PortHistory {
+  static TYPES: HistoryType[];
+  static summarize(rows: HistoryEntry[]): HistorySummary[];
+  static parseTime(value: number | string | Date, now?: number): number;
+  constructor(options?: { file?: string });
+  file: string;
+  /** Resolves false when the log couldn't be written; never rejects */
+  record(...entries: Array<Record<string, unknown> & { type: HistoryType }>): Promise<boolean>;
+  read(): Promise<Array<Record<string, unknown> & { timestamp: string; type: HistoryType }>>;
+  query(options?: HistoryQuery): Promise<HistoryEntry[]>;
+}
+
+export class LeaseRegistry {
+  static defaultCacheDir(): string;
+  constructor(options?: { file?: string; ttl?: number });
+  file: string;
+  transaction<T>(fn: (leases: Lease[]) => Promise<T> | T): Promise<T>;
+  list(): Promise<Lease[]>;
+  getLeasedPorts(): Promise<Set<number>>;
+  reserve(port: number, options?: LeaseOptions): Promise<Lease>;
+  release(port: number): Promise<Lease | null>;
+}
+
+export interface KillPolicyOptions {
+  protectedNames?: string[];
+  allowProtected?: boolean;
+  allowOtherUsers?: boolean;
+  /** Allow killing root and system-account processes, even when running as root */
+  allowSystem?: boolean;
+  allowPrivilegedPorts?: boolean;
+  uid?: number | null;
+}
+
+export class KillPolicy {
+  static DEFAULT_PROTECTED: string[];
+  static SYSTEM_UID_LIMIT: number;
+  constructor(options?: KillPolicyOptions);
+  check(target: { port: number; pid: number; name: string; uid: number | null }): PolicyVerdict;
+  isProtected(name: string): boolean;
+  isSystemUid(uid: number): boolean;
+}
+
+export class ContainerInspector {
+  static PROXY_PROCESSES: string[];
+  static isProxyProcess(name: string): boolean;
+  static parseContainers(output: string, runtime?: string): Container[];
+  static matchPort(containers: Container[], port: number, protocol?: string): Container | null;
+  constructor(options?: { runtimes?: Array<'docker' | 'podman'> });
+  getContainers(): Promise<Container[]>;
+  findByPort(port: number, protocol?: string): Promise<Container | null>;
+  stopContainer(container: Container): Promise<void>;
+}
+
+export class EnvFile {
+  static update(file: string, values: Record<string, string | number>): string;
+  static parse(content: string): Record<string, string>;
+  static merge(content: string, values: Record<string, string | number>): string;
+  static toExports(values: Record<string, string | number>): string;
+}
+
+// ---------------------------------------------------------------------------
+// Errors
+// ---------------------------------------------------------------------------
+
+export class PortResolverError extends Error {
+  constructor(message: string, code?: string);
+  code: string;
+}
+
+export class NoAvailablePortError extends PortResolverError {
+  code: 'ENOPORT';
+  startPort?: number;
+  maxAttempts?: number;
+  strategy?: SearchStrategy;
+  service?: string;
+  range?: PortRange;
+}
+
+export class ManifestError extends PortResolverError {
+  code: 'EMANIFEST';
+  file: string | null;
+}
+
+export class LeaseError extends PortResolverError {
+  code: 'ELEASE';
+  port: number | null;
+}
+
+export class InvalidArgumentError extends PortResolverError {
+  code: 'EINVALID';
+}
+
+export class ScanError extends PortResolverError {
+  code: 'ESCAN';
+}
+
+export class ComposeError extends PortResolverError {
+  code: 'ECOMPOSE';
+  file: string | null;
+}
+
+export class WaitTimeoutError extends PortResolverError {
+  code: 'ETIMEOUT';
+  until: WaitCondition;
+  mode: 'all' | 'any';
+  timeout: number;
+  elapsed: number;
+  ports: WaitState[];
+}
+
+export class ConfigError extends PortResolverError {
+  code: 'ECONFIG';
+  file: string | null;
+}
+
+// ---------------------------------------------------------------------------
+// Functions
+// ---------------------------------------------------------------------------
+
+export function getActivePorts(): Promise<PortInfo[]>;
+export function scanPorts(options?: { port?: number; start?: number; end?: number; profile?: string; details?: boolean; identify?: boolean }): Promise<PortInfo[]>;
+export function identifyPort(port: number, options?: FingerprintOptions & { host?: string }): Promise<Fingerprint>;
+export function loadConfig(options?: { userFile?: string | false | null; projectFile?: string | false | null; cwd?: string }): PortConfig;
+export function isPortAvailable(port: number, options?: ResolverOptions): Promise<boolean>;
+export function checkPort(port: number, options?: ResolverOptions): Promise<PortCheck>;
+export function findAvailablePort(startPort?: number, maxAttempts?: number, options?: ResolverOptions & SearchOptions): Promise<number>;
+export function getUsedPorts(start: number, end: number, options?: ResolverOptions): Promise<number[]>;
+export function reservePort(startPort?: number, options?: LeaseOptions & SearchOptions & { maxAttempts?: number }): Promise<Lease>;
+export function releasePort(port: number): Promise<Lease | null>;
+export function killPort(port: number, options?: KillOptions): Promise<KillResult>;
+export function killPorts(selector: KillSelector, options?: KillOptions): Promise<Array<KillResult & { port: number }>>;
+export function checkPorts(manifestFile?: string): Promise<ServiceCheck[]>;
+export function allocatePorts(manifestFile?: string): Promise<Allocation[]>;
+export function checkCompose(files?: string | string[], options?: { suggest?: boolean; env?: Record<string, string | undefined> }): Promise<ComposeCheck[]>;
+export function applyPort(from: number, options?: ApplyOptions): Promise<ApplyResult>;
+export function waitForPorts(ports: number | string | Array<number | string>, options?: WaitOptions): Promise<WaitResult>;
+export function findStaleListeners(options?: PruneOptions): Promise<StaleListener[]>;
+export function queryHistory(options?: HistoryQuery & { file?: string }): Promise<HistoryEntry[]>;
+export function watchPorts(options?: PortWatcherOptions): Promise<PortWatcher>;
@@ -1,157 +1,294 @@
-#!/usr/bin/env node
-
-const { Command } = require('commander');
-const chalk = require('chalk');
+/**
+ * port-conflict-resolver library entry point
+ *
+ * Nothing here prints to the console or reads from stdin; the CLI in
+ * ./cli.js is a thin layer over these exports.
+ */
+const path = require('path');
 const PortScanner = require('./scanner');
 const PortResolver = require('./resolver');
+const PortManifest = require('./manifest');
+const PortWatcher = require('./watcher');
+const PortProbe = require('./probe');
+const PortSnapshot = require('./snapshot');
+const PortSearch = require('./search');
+const PortDashboard = require('./dashboard');
+const PortConfig = require('./config');
+const ComposeFile = require('./compose');
+const ConfigRewriter = require('./rewriter');
+const PortWaiter = require('./waiter');
+const PortFingerprinter = require('./fingerprint');
+const PortPruner = require('./pruner');
+const PortSelector = require('./selector');
+const PortHistory = require('./history');
+const PortRunner = require('./runner');
+const LeaseRegistry = require('./leases');
+const KillPolicy = require('./policy');
+const ContainerInspector = require('./containers');
+const EnvFile = require('./envfile');
+const errors = require('./errors');
+
+/**
+ * List every listening socket
+ */
+async function getActivePorts() {
+  return new PortScanner().getActivePorts();
+}
+
+/**
+ * List listeners on a port, a range, a named profile, or the `common` profile
+ * options: { port } | { start, end } | { profile } | {} ; set details to add
+ * project/framework info, identify to fingerprint each TCP listener
+ */
+async function scanPorts(options = {}) {
+  const scanner = new PortScanner();
+  let ports;
+
+  if (options.port !== undefined) {
+    ports = await scanner.scanPort(options.port);
+  } else if (options.start !== undefined) {
+    ports = await scanner.scanRange(options.start, options.end !== undefined ? options.end : options.start);
+  } else {
+    ports = await scanner.scanProfile(options.profile || 'common');
+  }
+
+  if (options.identify) {
+    await scanner.identifyPorts(ports);
+  }
+  return options.details ? scanner.enrichPorts(ports) : ports;
+}
+
+/**
+ * Fingerprint the service listening on a port (HTTP, TLS, Postgres, MySQL,
+ * Redis, MongoDB, WebSocket...); options.host defaults to 127.0.0.1
+ */
+async function identifyPort(port, options = {}) {
+  return new PortFingerprinter(options).identify(port, options.host);
+}
+
+/**
+ * Load the layered configuration (defaults, user config, project .portsrc)
+ */
+function loadConfig(options = {}) {
+  return PortConfig.load(options);
+}
+
+/**
+ * Check whether a port is free
+ * options.host limits the check to one bind address (default: all interfaces),
+ * options.protocol selects 'tcp' (default), 'udp' or 'both'
+ */
+async function isPortAvailable(port, options = {}) {
+  return new PortResolver(options).isPortAvailable(port);
+}
+
+/**
+ * Check a port and report why it is unavailable (EADDRINUSE, EACCES, EADDRNOTAVAIL)
+ */
+async function checkPort(port, options = {}) {
+  return new PortResolver(options).checkPort(port);
+}
+
+/**
+ * Find a free port, by default the first one at or above startPort
+ * Search options: strategy ('up' | 'nearest' | 'random' | 'os'), range,
+ * exclude, skipWellKnown, skipEphemeral and seed (see PortSearch).
+ */
+async function findAvailablePort(startPort = 3000, maxAttempts = 100, options = {}) {
+  return new PortResolver(options).findAvailablePort(startPort, maxAttempts, options);
+}
+
+/**
+ * List ports in a range that cannot be bound
+ * One socket-table snapshot short-circuits ports already known to be listening;
+ * the rest are bind-probed concurrently (options.concurrency, default 128).
+ */
+async function getUsedPorts(start, end, options = {}) {
+  const snapshot = await new PortScanner().createSnapshot();
+  return new PortResolver(options).getUsedPortsInRange(start, end, { snapshot });
+}
+
+/**
+ * Find a free port and lease it until released, expired, or its owner exits
+ */
+async function reservePort(startPort = 3000, options = {}) {
+  return new PortResolver().reservePort(startPort, options);
+}
+
+/**
+ * Release a leased port
+ */
+async function releasePort(port) {
+  return new PortResolver().releasePort(port);
+}
+
+/**
+ * Kill whatever listens on a port
+ * Without options.confirm the kill is not confirmed interactively; the
+ * KillPolicy (options.policy) still applies. The kill is logged to the
+ * history unless options.history is null.
+ */
+async function killPort(port, options = {}) {
+  return new PortResolver({ history: options.history }).killPort(port, !options.confirm, options);
+}
+
+/**
+ * Kill every listener matching a selector
+ * selector: { targets: ports, ranges or profile names, name, user, cwd, protocol } (see PortSelector)
+ * Returns one result per matched process and port; ports named in targets
+ * that nothing listens on come back with success: false and no pid.
+ */
+async function killPorts(selector = {}, options = {}) {
+  const { matched, idle } = await new PortSelector(selector).select();
+  // Kill the processes that matched, not whoever holds their ports by now
+  const targets = matched.map(r => ({ port: r.port, pid: r.pid }));
+  const results = await new PortResolver({ history: options.history, protocol: selector.protocol })
+    .killProcesses(targets, !options.confirm, options);
+  return [...results, ...idle.map(port => ({ port, success: false, message: 'No process found on this port' }))];
+}
+
+/**
+ * Query the occupancy history and kill audit log (see PortHistory#query)
+ * options.file reads another log than the default one.
+ */
+async function queryHistory(options = {}) {
+  return new PortHistory({ file: options.file }).query(options);
+}
+
+/**
+ * Check every service in a manifest for conflicts
+ */
+async function checkPorts(manifestFile) {
+  const manifest = PortManifest.load(manifestFile);
+  return manifest.check(new PortResolver(), new PortScanner());
+}
+
+/**
+ * Assign a free port to every service in a manifest
+ */
+async function allocatePorts(manifestFile) {
+  const manifest = PortManifest.load(manifestFile);
+  return manifest.allocate(new PortResolver());
+}
+
+/**
+ * Check the host ports published by compose files (default: the nearest
+ * compose.yaml / docker-compose.yml) against listening ports and each other
+ * With options.suggest, conflicting bindings get a free `suggestion`.
+ */
+async function checkCompose(files = [], options = {}) {
+  const composeFiles = ([].concat(files).length > 0 ? [].concat(files) : [undefined])
+    .map(file => ComposeFile.load(file, options));
+  const results = await ComposeFile.check(composeFiles, new PortScanner());
+
+  if (options.suggest) {
+    await ComposeFile.suggest(results, (binding, exclude) =>
+      new PortResolver({ protocol: binding.protocol }).findAvailablePort(binding.hostPort, 100, { exclude }));
+  }
+  return results;
+}
+
+/**
+ * Move a project off a port by rewriting its config (.env, vite.config.*,
+ * package.json scripts, angular.json)
+ * The new port is options.to, else a free port found with the search options
+ * (strategy, range, exclude, leases...), starting from the detected
+ * framework's preferred port when there is one. Originals are kept as
+ * <file>.bak; set options.dryRun to only plan. Each file entry carries a
+ * unified `diff`.
+ */
+async function applyPort(from, options = {}) {
+  const rewriter = new ConfigRewriter(options.dir);
+  const resolver = new PortResolver(options);
+  const framework = rewriter.detectFramework();
+
+  let to = options.to !== undefined ? parseInt(options.to) : null;
+  if (to === null) {
+    const preferred = framework ? resolver.getConfig().getFrameworkPorts(framework) : null;
+    const exclude = [...[].concat(options.exclude || []), from];
+    to = await resolver.findAvailablePort(preferred && preferred.length > 0 ? preferred[0] : from, options.maxAttempts || 100, { ...options, exclude });
+  }
+
+  const changes = rewriter.plan(from, to);
+  const backups = options.dryRun ? [] : rewriter.apply(changes);
+  const files = changes.map((change, index) => ({
+    file: change.file,
+    kind: change.kind,
+    changes: change.changes,
+    diff: ConfigRewriter.diff(change.before, change.after, path.relative(rewriter.dir, change.file)),
+    backup: backups[index] ? backups[index].backup : null
+  }));
+
+  return { from, to, framework, dryRun: Boolean(options.dryRun), files };
+}
+
+/**
+ * Wait until ports are listening (or, with until: 'free', released)
+ * Resolves once all ports (mode: 'any': one of them) are ready; rejects with
+ * WaitTimeoutError after options.timeout (default 30s).
+ */
+async function waitForPorts(ports, options = {}) {
+  return new PortWaiter({ ...options, ports }).wait();
+}
+
+/**
+ * Classify listening ports as likely stale (orphaned, deleted working
+ * directory, duplicate instance, old...), with the evidence for each
+ * options: maxAge ("12h" or ms), workspaces (project roots), policy (KillPolicy)
+ */
+async function findStaleListeners(options = {}) {
+  return new PortPruner(options).classify();
+}
+
+/**
+ * Start watching ports; resolves with the running PortWatcher
+ */
+async function watchPorts(options = {}) {
+  const watcher = new PortWatcher(options);
+  return watcher.start();
+}
 
-const program = new Command();
-
-program
-  .name('port-resolver')
-  .description('Automatically detects and resolves port conflicts across local development services')
-  .version('1.0.0');
-
-program
-  .command('scan')
-  .description('Scan for ports in use')
-  .option('-p, --port <port>', 'Scan specific port')
-  .option('-r, --range <range>', 'Scan port range (e.g., 3000-4000)')
-  .option('-j, --json', 'Output as JSON')
-  .action(async (options) => {
-    const scanner = new PortScanner();
-    
-    try {
-      if (options.port) {
-        const ports = await scanner.scanPort(parseInt(options.port));
-        if (options.json) {
-          console.log(JSON.stringify(ports, null, 2));
-        } else {
-          scanner.displayPorts(ports);
-        }
-      } else if (options.range) {
-        const [start, end] = options.range.split('-').map(Number);
-        const ports = await scanner.scanRange(start, end);
-        if (options.json) {
-          console.log(JSON.stringify(ports, null, 2));
-        } else {
-          scanner.displayPorts(ports);
-        }
-      } else {
-        const ports = await scanner.scanCommonPorts();
-        if (options.json) {
-          console.log(JSON.stringify(ports, null, 2));
-        } else {
-          scanner.displayPorts(ports);
-        }
-      }
-    } catch (error) {
-      console.error(chalk.red('Error scanning ports:'), error.message);
-      process.exit(1);
-    }
-  });
-
-program
-  .command('kill')
-  .description('Kill process using a specific port')
-  .argument('<port>', 'Port number')
-  .option('-f, --force', 'Force kill without confirmation')
-  .action(async (port, options) => {
-    const resolver = new PortResolver();
-    
-    try {
-      const result = await resolver.killPort(parseInt(port), options.force);
-      if (result.success) {
-        console.log(chalk.green(`✓ Successfully killed process on port ${port}`));
-        console.log(chalk.gray(`  PID: ${result.pid}, Name: ${result.name}`));
-      } else {
-        console.log(chalk.yellow(`No process found on port ${port}`));
-      }
-    } catch (error) {
-      console.error(chalk.red('Error killing port:'), error.message);
-      process.exit(1);
-    }
-  });
-
-program
-  .command('resolve')
-  .description('Resolve port conflict by finding an alternative port')
-  .argument('<port>', 'Port that has conflict')
-  .option('-a, --allocate <port>', 'Try to allocate specific port')
-  .option('-c, --check', 'Check if port is available')
-  .action(async (port, options) => {
-    const resolver = new PortResolver();
-    const scanner = new PortScanner();
-    
-    try {
-      if (options.check) {
-        const isAvailable = await resolver.isPortAvailable(parseInt(port));
-        if (isAvailable) {
-          console.log(chalk.green(`✓ Port ${port} is available`));
-        } else {
-          console.log(chalk.red(`✗ Port ${port} is in use`));
-          const ports = await scanner.scanPort(parseInt(port));
-          scanner.displayPorts(ports);
-        }
-        return;
-      }
-
-      if (options.allocate) {
-        const targetPort = parseInt(options.allocate);
-        const isAvailable = await resolver.isPortAvailable(targetPort);
-        
-        if (isAvailable) {
-          console.log(chalk.green(`✓ Port ${targetPort} is available and ready to use`));
-        } else {
-          console.log(chalk.red(`✗ Port ${targetPort} is in use`));
-          
-          // Find alternative
-          const alternative = await resolver.findAvailablePort(targetPort);
-          console.log(chalk.yellow(`  Suggestion: Try port ${alternative}`));
-          
-          const ports = await scanner.scanPort(targetPort);
-          scanner.displayPorts(ports);
-        }
-        return;
-      }
-
-      // Default: find an available port near the requested one
-      const availablePort = await resolver.findAvailablePort(parseInt(port));
-      console.log(chalk.green(`Port ${parseInt(port)} is in use.`));
-      console.log(chalk.blue(`  Suggested alternative: ${availablePort}`));
-      
-    } catch (error) {
-      console.error(chalk.red('Error resolving port:'), error.message);
-      process.exit(1);
-    }
-  });
-
-program
-  .command('watch')
-  .description('Watch for port changes and notify')
-  .argument('<port>', 'Port to watch')
-  .option('-i, --interval <seconds>', 'Check interval in seconds', '5')
-  .action(async (port, options) => {
-    const scanner = new PortScanner();
-    
-    console.log(chalk.blue(`Watching port ${port}... (Press Ctrl+C to stop)`));
-    console.log(chalk.gray(`Check interval: ${options.interval} seconds\n`));
-    
-    const interval = setInterval(async () => {
-      const ports = await scanner.scanPort(parseInt(port));
-      if (ports.length > 0) {
-        console.log(chalk.yellow(`[${new Date().toLocaleTimeString()}] Port ${port} is now in use:`));
-        scanner.displayPorts(ports);
-      } else {
-        console.log(chalk.green(`[${new Date().toLocaleTimeString()}] Port ${port} is now available`));
-      }
-    }, parseInt(options.interval) * 1000);
-
-    process.on('SIGINT', () => {
-      clearInterval(interval);
-      console.log(chalk.gray('\n\nStopped watching.'));
-      process.exit(0);
-    });
-  });
-
-program.parse();
+module.exports = {
+  PortScanner,
+  PortResolver,
+  PortManifest,
+  PortWatcher,
+  PortProbe,
+  PortSnapshot,
+  PortSearch,
+  PortDashboard,
+  PortConfig,
+  ComposeFile,
+  ConfigRewriter,
+  PortWaiter,
+  PortFingerprinter,
+  PortPruner,
+  PortSelector,
+  PortHistory,
+  PortRunner,
+  LeaseRegistry,
+  KillPolicy,
+  ContainerInspector,
+  EnvFile,
+  ...errors,
+  getActivePorts,
+  scanPorts,
+  identifyPort,
+  isPortAvailable,
+  checkPort,
+  findAvailablePort,
+  getUsedPorts,
+  reservePort,
+  releasePort,
+  killPort,
+  killPorts,
+  queryHistory,
+  checkPorts,
+  allocatePorts,
+  checkCompose,
+  applyPort,
+  waitForPorts,
+  findStaleListeners,
+  watchPorts,
+  loadConfig
+};
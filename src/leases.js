@@ -0,0 +1,232 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LeaseError } = require('./errors');
+
+const DEFAULT_TTL = 60 * 60; // seconds
+const LOCK_TIMEOUT = 5000;
+const LOCK_STALE_AFTER = 10000;
+const LOCK_RETRY_DELAY = 25;
+
+/**
+ * Per-user cache directory for this tool
+ */
+function defaultCacheDir() {
+  if (process.platform === 'win32') {
+    const base = process.env.LOCALAPPDATA || path.join(os.homedir(), 'AppData', 'Local');
+    return path.join(base, 'port-conflict-resolver');
+  }
+  if (process.platform === 'darwin') {
+    return path.join(os.homedir(), 'Library', 'Caches', 'port-conflict-resolver');
+  }
+  const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(base, 'port-conflict-resolver');
+}
+
+class LeaseRegistry {
+  constructor(options = {}) {
+    this.file = options.file || path.join(defaultCacheDir(), 'leases.json');
+    this.lockFile = `${this.file}.lock`;
+    this.defaultTtl = options.ttl || DEFAULT_TTL;
+  }
+
+  /**
+   * Run fn with exclusive access to the registry
+   * fn receives the list of live leases and may modify it in place;
+   * the list is written back when fn resolves.
+   */
+  async transaction(fn) {
+    await this.acquireLock();
+    try {
+      const leases = this.prune(this.read());
+      const result = await fn(leases);
+      this.write(leases);
+      return result;
+    } finally {
+      this.releaseLock();
+    }
+  }
+
+  /**
+   * List live leases (expired leases and leases of dead processes are dropped)
+   */
+  async list() {
+    return this.prune(this.read());
+  }
+
+  /**
+   * Get the set of ports currently leased
+   */
+  async getLeasedPorts() {
+    const leases = await this.list();
+    return new Set(leases.map(l => l.port));
+  }
+
+  /**
+   * Record a lease for a port
+   * Fails if another live lease already holds the port.
+   */
+  async reserve(port, options = {}) {
+    return this.transaction(async (leases) => {
+      const existing = leases.find(l => l.port === port);
+      if (existing) {
+        throw new LeaseError(`Port ${port} is already leased by ${existing.owner} (PID: ${existing.pid})`, port);
+      }
+
+      const lease = this.createLease(port, options);
+      leases.push(lease);
+      return lease;
+    });
+  }
+
+  /**
+   * Build a lease record
+   */
+  createLease(port, options = {}) {
+    const ttl = options.ttl || this.defaultTtl;
+    const now = Date.now();
+
+    return {
+      port,
+      owner: options.owner || 'unknown',
+      pid: options.pid || process.pid,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttl * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Release the lease on a port. Returns the released lease, or null.
+   */
+  async release(port) {
+    return this.transaction(async (leases) => {
+      const index = leases.findIndex(l => l.port === port);
+      if (index === -1) {
+        return null;
+      }
+      return leases.splice(index, 1)[0];
+    });
+  }
+
+  /**
+   * Drop expired leases and leases whose owning process has exited
+   */
+  prune(leases) {
+    const now = Date.now();
+    return leases.filter(l => Date.parse(l.expiresAt) > now && this.isProcessAlive(l.pid));
+  }
+
+  /**
+   * Helper: Check whether a PID is still running
+   */
+  isProcessAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      // EPERM means the process exists but belongs to someone else
+      return error.code === 'EPERM';
+    }
+  }
+
+  /**
+   * Read the raw lease list from disk
+   */
+  read() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      return Array.isArray(data.leases) ? data.leases : [];
+    } catch (error) {
+      // Missing or corrupt registry: start fresh
+      return [];
+    }
+  }
+
+  /**
+   * Write the lease list to disk atomically
+   */
+  write(leases) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ leases }, null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+
+  /**
+   * Take the lockfile, waiting for other holders and breaking stale locks
+   */
+  async acquireLock() {
+    fs.mkdirSync(path.dirname(this.lockFile), { recursive: true });
+    const deadline = Date.now() + LOCK_TIMEOUT;
+
+    while (true) {
+      try {
+        fs.writeFileSync(this.lockFile, String(process.pid), { flag: 'wx' });
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      try {
+        if (this.breakStaleLock()) {
+          continue;
+        }
+      } catch (error) {
+        // Lock disappeared between attempts, retry immediately
+        continue;
+      }
+
+      if (Date.now() > deadline) {
+        throw new LeaseError(`Timed out waiting for lease lock ${this.lockFile}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_DELAY));
+    }
+  }
+
+  /**
+   * Remove a lockfile whose holder exited or that is older than LOCK_STALE_AFTER
+   * The lock is moved aside before it is deleted, so a lock another process
+   * took over in the meantime is put back instead of being removed.
+   * Returns true when a stale lock was removed.
+   */
+  breakStaleLock() {
+    const stale = fs.statSync(this.lockFile);
+    const owner = parseInt(fs.readFileSync(this.lockFile, 'utf8'));
+    const expired = Date.now() - stale.mtimeMs > LOCK_STALE_AFTER;
+    if (!expired && (!owner || this.isProcessAlive(owner))) {
+      return false;
+    }
+
+    const aside = `${this.lockFile}.${process.pid}.stale`;
+    fs.renameSync(this.lockFile, aside);
+    if (fs.statSync(aside).ino !== stale.ino) {
+      // Not the lock we judged stale: hand it back unless yet another exists
+      try {
+        fs.linkSync(aside, this.lockFile);
+      } catch (error) {
+        // A newer lock is in place already
+      }
+    }
+    fs.unlinkSync(aside);
+    return true;
+  }
+
+  /**
+   * Remove the lockfile, unless it was broken and taken over by someone else
+   */
+  releaseLock() {
+    try {
+      if (fs.readFileSync(this.lockFile, 'utf8') === String(process.pid)) {
+        fs.unlinkSync(this.lockFile);
+      }
+    } catch (error) {
+      // Already gone
+    }
+  }
+}
+
+LeaseRegistry.defaultCacheDir = defaultCacheDir;
+
+module.exports = LeaseRegistry;
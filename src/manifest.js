@@ -0,0 +1,261 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ManifestError, NoAvailablePortError } = require('./errors');
+
+const MANIFEST_FILES = ['.portsrc', '.portsrc.json', '.portsrc.yaml', '.portsrc.yml'];
+
+// Top-level keys read by PortConfig, never services
+const CONFIG_KEYS = ['profiles', 'frameworks'];
+
+// Services without an explicit range may move this many ports upward,
+// matching the default search window of PortResolver.findAvailablePort
+const DEFAULT_RANGE_SIZE = 100;
+
+class PortManifest {
+  constructor(services = [], file = null) {
+    this.services = services;
+    this.file = file;
+  }
+
+  /**
+   * Locate a manifest file, starting at dir and walking up to the filesystem root
+   */
+  static find(dir = process.cwd()) {
+    let current = path.resolve(dir);
+
+    while (true) {
+      for (const name of MANIFEST_FILES) {
+        const candidate = path.join(current, name);
+        if (fs.existsSync(candidate)) {
+          return candidate;
+        }
+      }
+
+      const parent = path.dirname(current);
+      if (parent === current) {
+        return null;
+      }
+      current = parent;
+    }
+  }
+
+  /**
+   * Load a manifest from an explicit path, or search for one from the cwd
+   */
+  static load(file) {
+    const manifestPath = file ? path.resolve(file) : PortManifest.find();
+    if (!manifestPath) {
+      throw new ManifestError(`No port manifest found (looked for ${MANIFEST_FILES.join(', ')})`);
+    }
+
+    const content = fs.readFileSync(manifestPath, 'utf8');
+    let data;
+    try {
+      // YAML is a superset of JSON, so one parser handles both formats
+      data = yaml.load(content);
+    } catch (error) {
+      throw new ManifestError(`Invalid port manifest ${manifestPath}: ${error.message}`, manifestPath);
+    }
+
+    return new PortManifest(PortManifest.parse(data), manifestPath);
+  }
+
+  /**
+   * Normalize raw manifest data into a list of services
+   *
+   * Accepted entry forms:
+   *   api: 3001
+   *   api: { port: 3001, range: "3001-3010" }
+   *   api: { port: 3001, range: [3001, 3010], env: "API_PORT" }
+   *   dns: { port: 5353, protocol: udp }   # tcp, udp or both (default: the resolver's)
+   *
+   * `profiles` and `frameworks` belong to the project config (see PortConfig).
+   */
+  static parse(data) {
+    let entries = data && data.services ? data.services : data;
+    if (entries === data && data && typeof data === 'object' && !Array.isArray(data)) {
+      entries = Object.fromEntries(Object.entries(data).filter(([key]) => !CONFIG_KEYS.includes(key)));
+    }
+    if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+      throw new ManifestError('Port manifest must map service names to ports');
+    }
+
+    return Object.entries(entries).map(([name, entry]) => {
+      const spec = typeof entry === 'object' && entry !== null ? entry : { port: entry };
+      const port = parseInt(spec.port);
+
+      if (isNaN(port) || port < 1 || port > 65535) {
+        throw new ManifestError(`Service "${name}" has an invalid port: ${spec.port}`);
+      }
+
+      const service = {
+        name,
+        port,
+        range: PortManifest.parseRange(spec.range, port, name),
+        env: spec.env || PortManifest.envName(name)
+      };
+
+      if (spec.protocol !== undefined) {
+        if (!['tcp', 'udp', 'both'].includes(String(spec.protocol).toLowerCase())) {
+          throw new ManifestError(`Service "${name}" has an invalid protocol: ${spec.protocol}`);
+        }
+        service.protocol = String(spec.protocol).toLowerCase();
+      }
+
+      return service;
+    });
+  }
+
+  /**
+   * Parse a fallback range given as "start-end" or [start, end]
+   */
+  static parseRange(range, port, name) {
+    if (range === undefined || range === null) {
+      return { start: port, end: Math.min(port + DEFAULT_RANGE_SIZE - 1, 65535) };
+    }
+
+    const bounds = Array.isArray(range) ? range : String(range).split('-');
+    const start = parseInt(bounds[0]);
+    const end = parseInt(bounds[1] !== undefined ? bounds[1] : bounds[0]);
+
+    if (isNaN(start) || isNaN(end) || start < 1 || end > 65535 || start > end) {
+      throw new ManifestError(`Service "${name}" has an invalid range: ${range}`);
+    }
+
+    return { start, end };
+  }
+
+  /**
+   * Derive an environment variable name from a service name (web-app -> WEB_APP_PORT)
+   */
+  static envName(name) {
+    return `${String(name).toUpperCase().replace(/[^A-Z0-9]+/g, '_')}_PORT`;
+  }
+
+  /**
+   * Check every service's preferred port against the system and each other
+   */
+  async check(resolver, scanner) {
+    const results = [];
+    const claimed = new Map();
+
+    for (const service of this.services) {
+      if (!claimed.has(service.port)) {
+        claimed.set(service.port, []);
+      }
+      claimed.get(service.port).push(service);
+    }
+
+    // Preferred ports plus fallbacks already suggested, so no two services get the same one
+    const taken = new Set(claimed.keys());
+
+    // Read the socket table at most once, and only if something is taken
+    let snapshot = null;
+
+    for (const service of this.services) {
+      const available = await resolver.isPortAvailable(service.port, undefined, service.protocol);
+      if (!available && !snapshot) {
+        snapshot = await scanner.createSnapshot();
+      }
+      const holders = available ? [] : await scanner.scanPort(service.port, snapshot);
+      // TCP and UDP services may share a port number
+      const collidesWith = claimed.get(service.port)
+        .filter(other => other !== service && this.sharesProtocol(service, other, resolver.protocol))
+        .map(other => other.name);
+      const conflict = !available || collidesWith.length > 0;
+      const fallback = conflict ? await this.findFallback(service, resolver, taken) : null;
+      if (fallback !== null) {
+        taken.add(fallback);
+      }
+
+      results.push({
+        ...service,
+        available,
+        holders,
+        collidesWith,
+        conflict,
+        fallback
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Assign every service a free port
+   *
+   * Preferred ports win when free. Otherwise a port is taken from the service's
+   * fallback range, skipping leased ports, ports already assigned in this run
+   * and ports that another service in the manifest prefers.
+   */
+  async allocate(resolver) {
+    const preferred = new Set(this.services.map(s => s.port));
+    const assigned = resolver.leases ? await resolver.leases.getLeasedPorts() : new Set();
+    const allocations = [];
+
+    for (const service of this.services) {
+      let port = null;
+
+      if (!assigned.has(service.port) && await resolver.isPortAvailable(service.port, undefined, service.protocol)) {
+        port = service.port;
+      } else {
+        for (let candidate = service.range.start; candidate <= service.range.end; candidate++) {
+          if (assigned.has(candidate) || preferred.has(candidate)) {
+            continue;
+          }
+          if (await resolver.isPortAvailable(candidate, undefined, service.protocol)) {
+            port = candidate;
+            break;
+          }
+        }
+      }
+
+      if (port === null) {
+        throw new NoAvailablePortError(
+          `Could not allocate a port for "${service.name}" in range ${service.range.start}-${service.range.end}`,
+          { service: service.name, range: service.range }
+        );
+      }
+
+      assigned.add(port);
+      allocations.push({
+        name: service.name,
+        env: service.env,
+        preferred: service.port,
+        port,
+        moved: port !== service.port
+      });
+    }
+
+    return allocations;
+  }
+
+  /**
+   * Helper: Whether two services use a common transport protocol
+   */
+  sharesProtocol(a, b, fallback = 'tcp') {
+    const transports = service => {
+      const protocol = service.protocol || fallback;
+      return protocol === 'both' ? ['tcp', 'udp'] : [protocol];
+    };
+    return transports(a).some(t => transports(b).includes(t));
+  }
+
+  /**
+   * Find a free port in the service's fallback range that isn't taken yet
+   */
+  async findFallback(service, resolver, taken) {
+    for (let port = service.range.start; port <= service.range.end; port++) {
+      if (taken.has(port)) {
+        continue;
+      }
+      if (await resolver.isPortAvailable(port, undefined, service.protocol)) {
+        return port;
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = PortManifest;
@@ -0,0 +1,176 @@
+const chalk = require('chalk');
+const { InvalidArgumentError } = require('./errors');
+
+const FORMATS = ['table', 'json', 'ndjson', 'csv', 'plain'];
+
+// Process exit codes shared by every command
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  IN_USE: 2,
+  FREE: 3,
+  PERMISSION_DENIED: 4,
+  CANCELLED: 5,
+  TIMEOUT: 6
+};
+
+/**
+ * Renders command results in the format selected with --format
+ *
+ * table   human-readable, colored (default)
+ * json    one JSON document per command
+ * ndjson  one JSON object per record/event per line
+ * csv     header row plus one row per record
+ * plain   tab-separated values, one record per line, no header
+ */
+class Output {
+  constructor(format = 'table') {
+    if (!FORMATS.includes(format)) {
+      throw new InvalidArgumentError(`Unknown format "${format}" (expected ${FORMATS.join(', ')})`);
+    }
+    this.format = format;
+    this.headerPrinted = false;
+  }
+
+  /**
+   * Whether output is meant for people rather than scripts
+   */
+  get isHuman() {
+    return this.format === 'table';
+  }
+
+  /**
+   * Print a command result: an array of records or a single record
+   * columns: keys (or [header, record => value] pairs) used for csv/plain
+   * render: prints the human-readable table format
+   */
+  print(data, { columns, render } = {}) {
+    const records = Array.isArray(data) ? data : [data];
+
+    switch (this.format) {
+      case 'table':
+        if (render) {
+          render(data);
+        } else {
+          console.log(JSON.stringify(data, null, 2));
+        }
+        break;
+      case 'json':
+        console.log(JSON.stringify(data, null, 2));
+        break;
+      case 'ndjson':
+        for (const record of records) {
+          console.log(JSON.stringify(record));
+        }
+        break;
+      default:
+        for (const record of records) {
+          this.printRow(record, columns || Object.keys(records[0] || {}));
+        }
+    }
+  }
+
+  /**
+   * Print a single streamed record (e.g. a watch event)
+   */
+  event(record, { columns, render } = {}) {
+    if (this.format === 'table') {
+      render(record);
+    } else if (this.format === 'json' || this.format === 'ndjson') {
+      // A stream has no single document, so json streams like ndjson
+      console.log(JSON.stringify(record));
+    } else {
+      this.printRow(record, columns || Object.keys(record));
+    }
+  }
+
+  /**
+   * Print a human-only message; ignored for machine-readable formats
+   */
+  info(message) {
+    if (this.isHuman) {
+      console.log(message);
+    }
+  }
+
+  /**
+   * Report an error on stderr
+   */
+  error(context, error) {
+    if (this.isHuman) {
+      console.error(chalk.red(context), error.message);
+      return;
+    }
+    console.error(JSON.stringify({
+      error: { message: error.message, code: error.code || null, context: context.replace(/:$/, '') }
+    }));
+  }
+
+  /**
+   * Helper: Print one csv/plain row, with the csv header before the first one
+   */
+  printRow(record, columns) {
+    const specs = columns.map(c => (Array.isArray(c) ? c : [c, r => Output.get(r, c)]));
+
+    if (this.format === 'csv') {
+      if (!this.headerPrinted) {
+        console.log(specs.map(([header]) => Output.csvEscape(header)).join(','));
+        this.headerPrinted = true;
+      }
+      console.log(specs.map(([, value]) => Output.csvEscape(Output.stringify(value(record)))).join(','));
+    } else {
+      console.log(specs.map(([, value]) => Output.stringify(value(record)).replace(/[\t\n]/g, ' ')).join('\t'));
+    }
+  }
+
+  /**
+   * Helper: Read a dotted key path (e.g. "container.name") from a record
+   */
+  static get(record, key) {
+    return key.split('.').reduce((value, part) => (value == null ? value : value[part]), record);
+  }
+
+  /**
+   * Helper: Flatten a value for csv/plain output
+   */
+  static stringify(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    if (Array.isArray(value)) {
+      return value.map(Output.stringify).join(';');
+    }
+    if (typeof value === 'object') {
+      return JSON.stringify(value);
+    }
+    return String(value);
+  }
+
+  /**
+   * Helper: Quote a csv field when needed
+   */
+  static csvEscape(value) {
+    return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  }
+
+  /**
+   * Map an error to a process exit code
+   */
+  static exitCodeFor(error) {
+    if (error.code === 'EACCES' || error.code === 'EPERM') {
+      return EXIT_CODES.PERMISSION_DENIED;
+    }
+    if (error.code === 'ENOPORT') {
+      return EXIT_CODES.IN_USE;
+    }
+    if (error.code === 'ETIMEOUT') {
+      return EXIT_CODES.TIMEOUT;
+    }
+    return EXIT_CODES.ERROR;
+  }
+}
+
+Output.FORMATS = FORMATS;
+Output.EXIT_CODES = EXIT_CODES;
+
+module.exports = Output;
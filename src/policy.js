@@ -0,0 +1,96 @@
+const path = require('path');
+
+const DEFAULT_PROTECTED = [
+  'sshd', 'systemd', 'init', 'launchd', 'postgres', 'postmaster', 'mysqld',
+  'mariadbd', 'mongod', 'redis-server', 'docker-proxy', 'dockerd', 'containerd',
+  'com.docker.backend', 'cupsd', 'nginx', 'httpd'
+];
+
+// Ports below this need root to bind and usually belong to system services
+const PRIVILEGED_PORT_LIMIT = 1024;
+
+// User IDs below this are system accounts (root, daemon, www-data, postgres, ...)
+const SYSTEM_UID_LIMIT = process.platform === 'darwin' ? 500 : 1000;
+
+class KillPolicy {
+  constructor(options = {}) {
+    this.protectedNames = (options.protectedNames || DEFAULT_PROTECTED).map(n => n.toLowerCase());
+    this.allowProtected = Boolean(options.allowProtected);
+    this.allowOtherUsers = Boolean(options.allowOtherUsers);
+    this.allowSystem = Boolean(options.allowSystem);
+    this.allowPrivilegedPorts = Boolean(options.allowPrivilegedPorts);
+    this.uid = options.uid !== undefined
+      ? options.uid
+      : (typeof process.getuid === 'function' ? process.getuid() : null);
+  }
+
+  /**
+   * Decide whether a process may be killed
+   * target: { port, pid, name, uid } — uid may be null when unknown
+   * Returns { allowed: true } or { allowed: false, reason, code }.
+   */
+  check(target) {
+    if (!this.allowPrivilegedPorts && target.port < PRIVILEGED_PORT_LIMIT) {
+      return {
+        allowed: false,
+        code: 'PRIVILEGED_PORT',
+        reason: `Port ${target.port} is a privileged port (below ${PRIVILEGED_PORT_LIMIT})`
+      };
+    }
+
+    if (!this.allowProtected && this.isProtected(target.name)) {
+      return {
+        allowed: false,
+        code: 'PROTECTED_PROCESS',
+        reason: `${target.name} is a protected process`
+      };
+    }
+
+    const known = target.uid !== null && target.uid !== undefined;
+
+    // Root and system accounts are off limits even when running as root (sudo)
+    if (!this.allowSystem && known && this.isSystemUid(target.uid)) {
+      return {
+        allowed: false,
+        code: target.uid === 0 ? 'ROOT_PROCESS' : 'SYSTEM_PROCESS',
+        reason: target.uid === 0
+          ? `PID ${target.pid} is owned by root`
+          : `PID ${target.pid} is owned by a system account (uid ${target.uid})`
+      };
+    }
+
+    if (!this.allowOtherUsers && this.uid !== null && known && target.uid !== this.uid) {
+      return {
+        allowed: false,
+        code: 'OTHER_USER',
+        reason: `PID ${target.pid} is owned by another user (uid ${target.uid})`
+      };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Whether a uid is root or a system account
+   * A system account running this tool may still kill its own processes.
+   */
+  isSystemUid(uid) {
+    return uid === 0 || (uid < SYSTEM_UID_LIMIT && uid !== this.uid);
+  }
+
+  /**
+   * Check a process name against the protected list
+   */
+  isProtected(name) {
+    if (!name) {
+      return false;
+    }
+    const base = path.basename(String(name)).toLowerCase();
+    return this.protectedNames.includes(base);
+  }
+}
+
+KillPolicy.DEFAULT_PROTECTED = DEFAULT_PROTECTED;
+KillPolicy.SYSTEM_UID_LIMIT = SYSTEM_UID_LIMIT;
+
+module.exports = KillPolicy;
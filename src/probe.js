@@ -0,0 +1,71 @@
+// Bind probes are cheap but each holds a file descriptor until it closes
+const DEFAULT_CONCURRENCY = 128;
+
+class PortProbe {
+  constructor(resolver, options = {}) {
+    this.resolver = resolver;
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+  }
+
+  /**
+   * Check many ports concurrently; results come back in input order
+   *
+   * When a snapshot is given and the resolver checks every interface, ports the
+   * snapshot already shows as listening are reported in use without binding.
+   * Everything else is verified with a real bind probe.
+   */
+  async checkPorts(ports, options = {}) {
+    const { snapshot } = options;
+    const protocol = this.resolver.protocol;
+    const allHosts = !this.resolver.host || this.resolver.host === 'all';
+
+    return PortProbe.map(ports, this.concurrency, async (port) => {
+      if (snapshot && allHosts) {
+        const holders = snapshot.scanPort(port, protocol);
+        if (holders.length > 0) {
+          return { port, available: false, reason: 'EADDRINUSE', hosts: [], holders };
+        }
+      }
+      return this.resolver.checkPort(port);
+    });
+  }
+
+  /**
+   * Find the first available port in candidate order
+   * Candidates are checked in batches of `concurrency` ports.
+   */
+  async findFirstAvailable(candidates, options = {}) {
+    for (let i = 0; i < candidates.length; i += this.concurrency) {
+      const batch = candidates.slice(i, i + this.concurrency);
+      const results = await this.checkPorts(batch, options);
+      const free = results.find(r => r.available);
+      if (free) {
+        return free.port;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Map over items with at most `concurrency` promises in flight
+   */
+  static async map(items, concurrency, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index], index);
+      }
+    };
+
+    const workers = Array.from({ length: Math.min(concurrency, items.length) }, worker);
+    await Promise.all(workers);
+    return results;
+  }
+}
+
+PortProbe.DEFAULT_CONCURRENCY = DEFAULT_CONCURRENCY;
+
+module.exports = PortProbe;
@@ -0,0 +1,257 @@
+const fs = require('fs');
+const path = require('path');
+const { exec } = require('child_process');
+const util = require('util');
+const execPromise = util.promisify(exec);
+const PortScanner = require('./scanner');
+const PortResolver = require('./resolver');
+const KillPolicy = require('./policy');
+const PortWaiter = require('./waiter');
+
+// Processes that adopt orphans; a listener parented to one lost its terminal or runner
+const REAPERS = ['systemd', 'init', 'launchd'];
+
+// Weight of each piece of evidence; a listener is likely stale at STALE_SCORE
+const SIGNALS = {
+  'cwd-missing': 3,
+  orphaned: 2,
+  duplicate: 2,
+  old: 1,
+  'outside-workspace': 1,
+  'no-project': 1
+};
+const STALE_SCORE = 2;
+
+const DEFAULT_MAX_AGE = '12h';
+
+/**
+ * Finds listeners that were probably forgotten: dev servers left behind by
+ * closed terminals, deleted worktrees or branch switches
+ *
+ * Evidence per listener (weights in SIGNALS):
+ *   cwd-missing        its working directory was deleted
+ *   orphaned           its parent exited and it was adopted by init/systemd/launchd
+ *   duplicate          a newer instance of the same project and framework is running
+ *   old                running longer than maxAge
+ *   outside-workspace  working directory outside every configured workspace
+ *   no-project         working directory not inside any project
+ *
+ * Processes the kill policy protects (system services, other users, ports
+ * below 1024) and container proxies are never considered.
+ */
+class PortPruner {
+  constructor(options = {}) {
+    this.scanner = options.scanner || new PortScanner();
+    this.resolver = options.resolver || new PortResolver();
+    this.policy = options.policy || new KillPolicy();
+    this.maxAge = PortWaiter.parseDuration(options.maxAge !== undefined ? options.maxAge : DEFAULT_MAX_AGE);
+    this.workspaces = [].concat(options.workspaces || []).map(dir => path.resolve(dir));
+    this.platform = process.platform;
+  }
+
+  /**
+   * Classify listeners (default: every listening port)
+   * Returns one record per process and port, likely-stale ones first:
+   *   { port, pid, command, address, cwd, project, framework, age, ppid, parent,
+   *     evidence: [{ signal, weight, detail }], score, stale, skipped }
+   */
+  async classify(ports = null) {
+    const listeners = new Map();
+    for (const p of ports || await this.scanner.getActivePorts()) {
+      // IPv4 and IPv6 sockets of one process count once
+      if (p.pid && !listeners.has(`${p.pid} ${p.port}`)) {
+        listeners.set(`${p.pid} ${p.port}`, { ...p });
+      }
+    }
+
+    const records = [...listeners.values()];
+    await this.scanner.enrichPorts(records);
+    const stats = await this.getProcessStats([...new Set(records.map(r => r.pid))]);
+
+    for (const record of records) {
+      const stat = stats.get(record.pid) || {};
+      Object.assign(record, {
+        command: record.command || stat.name || '',
+        age: stat.age !== undefined ? stat.age : null,
+        ppid: stat.ppid !== undefined ? stat.ppid : null,
+        parent: stat.parent || null,
+        evidence: [],
+        skipped: this.skipReason(record, stat)
+      });
+
+      if (!record.skipped) {
+        record.evidence = this.collectEvidence(record);
+      }
+    }
+
+    this.markDuplicates(records.filter(r => !r.skipped));
+
+    for (const record of records) {
+      record.score = record.evidence.reduce((sum, e) => sum + e.weight, 0);
+      record.stale = !record.skipped && record.score >= STALE_SCORE;
+    }
+
+    return records.sort((a, b) => (b.stale - a.stale) || (b.score - a.score) || (a.port - b.port));
+  }
+
+  /**
+   * Helper: Why a listener is left out, or null
+   */
+  skipReason(record, stat) {
+    if (record.container) {
+      return `published by container ${record.container.name}`;
+    }
+    const verdict = this.policy.check({ port: record.port, pid: record.pid, name: stat.name || record.command, uid: stat.uid });
+    return verdict.allowed ? null : verdict.reason;
+  }
+
+  /**
+   * Helper: Per-process evidence (everything except duplicates)
+   */
+  collectEvidence(record) {
+    const evidence = [];
+    const add = (signal, detail) => evidence.push({ signal, weight: SIGNALS[signal], detail });
+
+    if (record.ppid === 1 || REAPERS.includes(record.parent)) {
+      add('orphaned', `parent process is gone (adopted by ${record.parent || 'PID 1'})`);
+    }
+
+    const cwd = record.cwd ? record.cwd.replace(/ \(deleted\)$/, '') : null;
+    if (cwd && (record.cwd !== cwd || !fs.existsSync(cwd))) {
+      add('cwd-missing', `working directory ${cwd} no longer exists`);
+    } else if (cwd && this.workspaces.length > 0 && !this.workspaces.some(dir => PortPruner.isInside(cwd, dir))) {
+      add('outside-workspace', `working directory ${cwd} is outside ${this.workspaces.join(', ')}`);
+    } else if (cwd && !record.project) {
+      add('no-project', `working directory ${cwd} is not inside a project`);
+    }
+
+    if (record.age !== null && record.age > this.maxAge) {
+      add('old', `running for ${PortPruner.formatAge(record.age)}`);
+    }
+
+    return evidence;
+  }
+
+  /**
+   * Helper: Flag every instance of a project but the newest
+   * Instances are processes running the same project and framework.
+   */
+  markDuplicates(records) {
+    const groups = new Map();
+    for (const record of records.filter(r => r.project)) {
+      const key = `${record.project}\0${record.gitRoot || ''}\0${record.framework || ''}`;
+      if (!groups.has(key)) {
+        groups.set(key, new Map());
+      }
+      // A process listening on several ports is one instance
+      const instances = groups.get(key);
+      if (!instances.has(record.pid)) {
+        instances.set(record.pid, []);
+      }
+      instances.get(record.pid).push(record);
+    }
+
+    for (const instances of groups.values()) {
+      if (instances.size < 2) {
+        continue;
+      }
+
+      const byAge = [...instances.values()].sort((a, b) => (a[0].age || 0) - (b[0].age || 0));
+      const newest = byAge[0][0];
+      for (const instance of byAge.slice(1)) {
+        for (const record of instance) {
+          record.evidence.push({
+            signal: 'duplicate',
+            weight: SIGNALS.duplicate,
+            detail: `a newer instance of ${record.project} is running (PID ${newest.pid}, port ${newest.port})`
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Parent, owner, age and name of processes
+   * Returns a Map of pid -> { ppid, parent, uid, age (ms), name }; empty on Windows.
+   */
+  async getProcessStats(pids) {
+    const stats = new Map();
+    if (pids.length === 0 || this.platform === 'win32') {
+      return stats;
+    }
+
+    for (const line of (await PortPruner.ps(`-o pid=,ppid=,uid=,etime=,comm= -p ${pids.join(',')}`)).split('\n')) {
+      const match = line.trim().match(/^(\d+)\s+(\d+)\s+(\d+)\s+(\S+)\s+(.+)$/);
+      if (match) {
+        stats.set(parseInt(match[1]), {
+          ppid: parseInt(match[2]),
+          uid: parseInt(match[3]),
+          age: PortPruner.parseElapsed(match[4]),
+          name: path.basename(match[5].trim())
+        });
+      }
+    }
+
+    const parents = [...new Set([...stats.values()].map(s => s.ppid))].filter(ppid => ppid > 0);
+    const names = new Map();
+    if (parents.length > 0) {
+      for (const line of (await PortPruner.ps(`-o pid=,comm= -p ${parents.join(',')}`)).split('\n')) {
+        const match = line.trim().match(/^(\d+)\s+(.+)$/);
+        if (match) {
+          names.set(parseInt(match[1]), path.basename(match[2].trim()));
+        }
+      }
+    }
+    for (const stat of stats.values()) {
+      stat.parent = names.get(stat.ppid) || null;
+    }
+
+    return stats;
+  }
+
+  /**
+   * Helper: Run ps; exits non-zero when some PIDs are gone, so keep partial output
+   */
+  static async ps(args) {
+    try {
+      return (await execPromise(`ps ${args}`)).stdout;
+    } catch (error) {
+      return error.stdout || '';
+    }
+  }
+
+  /**
+   * Helper: Parse ps etime ([[dd-]hh:]mm:ss) into milliseconds
+   */
+  static parseElapsed(value) {
+    const match = String(value).match(/^(?:(\d+)-)?(?:(\d+):)?(\d+):(\d+)$/);
+    if (!match) {
+      return null;
+    }
+    const [, days = 0, hours = 0, minutes, seconds] = match;
+    return (((parseInt(days) * 24 + parseInt(hours)) * 60 + parseInt(minutes)) * 60 + parseInt(seconds)) * 1000;
+  }
+
+  /**
+   * Helper: 93784000 -> "1d 2h 3m"
+   */
+  static formatAge(ms) {
+    const minutes = Math.floor(ms / 60000);
+    const parts = [[Math.floor(minutes / 1440), 'd'], [Math.floor(minutes / 60) % 24, 'h'], [minutes % 60, 'm']];
+    const shown = parts.filter(([value]) => value > 0).map(([value, unit]) => `${value}${unit}`);
+    return shown.length > 0 ? shown.join(' ') : `${Math.floor(ms / 1000)}s`;
+  }
+
+  /**
+   * Helper: Whether dir is inside (or equal to) root
+   */
+  static isInside(dir, root) {
+    const relative = path.relative(root, dir);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+  }
+}
+
+PortPruner.SIGNALS = SIGNALS;
+PortPruner.STALE_SCORE = STALE_SCORE;
+
+module.exports = PortPruner;
@@ -1,105 +1,384 @@
 const { exec } = require('child_process');
 const util = require('util');
+const fs = require('fs');
 const execPromise = util.promisify(exec);
 const net = require('net');
+const dgram = require('dgram');
+const os = require('os');
 const readline = require('readline');
+const LeaseRegistry = require('./leases');
+const PortHistory = require('./history');
+const KillPolicy = require('./policy');
+const ContainerInspector = require('./containers');
+const PortProbe = require('./probe');
+const PortSearch = require('./search');
+const PortConfig = require('./config');
+const { NoAvailablePortError, InvalidArgumentError } = require('./errors');
+
+// Default escalation when killing a port: ask nicely, then insist
+const DEFAULT_KILL_STAGES = [
+  { signal: 'SIGINT', timeout: 1000 },
+  { signal: 'SIGTERM', timeout: 3000 },
+  { signal: 'SIGKILL', timeout: 2000 }
+];
+
+// Hosts probed when no bind address is given. Wildcard binds catch listeners on
+// any interface; the loopback probes catch platforms (macOS) where SO_REUSEADDR
+// lets a wildcard bind succeed next to a specific one.
+const DEFAULT_PROBE_HOSTS = ['127.0.0.1', '0.0.0.0', '::1', '::'];
+
+// Errors meaning the address (family) doesn't exist on this machine
+const UNSUPPORTED_ADDRESS_CODES = ['EADDRNOTAVAIL', 'EAFNOSUPPORT'];
+
+const PROTOCOLS = {
+  tcp: ['tcp'],
+  udp: ['udp'],
+  both: ['tcp', 'udp']
+};
+
+// Most specific reason first when several hosts fail
+const BIND_ERROR_PRIORITY = ['EADDRINUSE', 'EACCES', 'EADDRNOTAVAIL'];
 
 class PortResolver {
-  constructor() {
+  constructor(options = {}) {
     this.platform = process.platform;
+    // Bind address for availability checks; undefined checks all interfaces
+    this.host = options.host;
+    // Transport checked for availability: tcp, udp or both
+    this.protocol = PortResolver.parseProtocol(options.protocol || 'tcp');
+    // Pass `leases: null` to ignore the lease registry entirely
+    this.leases = options.leases !== undefined ? options.leases : new LeaseRegistry();
+    // Kills are appended to the history log; `history: null` disables it
+    this.history = options.history !== undefined ? options.history : new PortHistory();
+    this.containers = options.containers || new ContainerInspector();
+    // Socket table used to find who holds a port; created on first use
+    this.scanner = options.scanner || null;
+    // Range sweeps and port searches bind this many ports at once
+    this.probe = new PortProbe(this, { concurrency: options.concurrency });
+    // Framework preferences; loaded from the config layers on first use
+    this.config = options.config || null;
+  }
+
+  /**
+   * Active configuration (defaults, user config, project file)
+   */
+  getConfig() {
+    if (!this.config) {
+      this.config = PortConfig.load();
+    }
+    return this.config;
   }
 
   /**
    * Check if a port is available (not in use)
    */
-  async isPortAvailable(port) {
+  async isPortAvailable(port, host = this.host, protocol = this.protocol) {
+    const result = await this.checkPort(port, host, protocol);
+    return result.available;
+  }
+
+  /**
+   * Check a port against one host, or by default every local interface
+   * (loopback and wildcard, IPv4 and IPv6), and explain the outcome.
+   *
+   * protocol selects TCP, UDP or both ('tcp' | 'udp' | 'both').
+   *
+   * Returns { port, available, reason, hosts: [{ host, protocol, available, reason }] }
+   * where reason is null, 'EADDRINUSE', 'EACCES' or 'EADDRNOTAVAIL'.
+   */
+  async checkPort(port, host = this.host, protocol = this.protocol) {
+    const explicit = Boolean(host) && host !== 'all';
+    const hosts = explicit ? [].concat(host) : DEFAULT_PROBE_HOSTS;
+    const results = [];
+
+    for (const transport of PROTOCOLS[PortResolver.parseProtocol(protocol)]) {
+      for (const candidate of hosts) {
+        const reason = transport === 'udp'
+          ? await this.probeUdpPort(port, candidate)
+          : await this.probePort(port, candidate);
+
+        // Default probes skip address families this machine doesn't have
+        if (!explicit && UNSUPPORTED_ADDRESS_CODES.includes(reason)) {
+          continue;
+        }
+
+        results.push({
+          host: candidate,
+          protocol: transport,
+          available: reason === null,
+          reason: reason === null ? null : this.normalizeBindError(reason)
+        });
+      }
+    }
+
+    const failures = results.filter(r => !r.available).map(r => r.reason);
+    const reason = BIND_ERROR_PRIORITY.find(code => failures.includes(code)) || failures[0] || null;
+
+    return { port, available: failures.length === 0, reason, hosts: results };
+  }
+
+  /**
+   * Try to bind a port on a host. Resolves null on success, or the error code.
+   */
+  probePort(port, host) {
     return new Promise((resolve) => {
       const server = net.createServer();
-      
+
       server.once('error', (err) => {
-        if (err.code === 'EADDRINUSE') {
-          resolve(false);
-        } else {
-          resolve(false);
-        }
+        resolve(err.code || 'EUNKNOWN');
       });
 
       server.once('listening', () => {
         server.close(() => {
-          resolve(true);
+          resolve(null);
+        });
+      });
+
+      server.listen({ port, host, exclusive: true });
+    });
+  }
+
+  /**
+   * Try to bind a UDP port on a host. Resolves null on success, or the error code.
+   */
+  probeUdpPort(port, host) {
+    return new Promise((resolve) => {
+      const socket = dgram.createSocket({ type: net.isIPv6(host) ? 'udp6' : 'udp4' });
+
+      socket.once('error', (err) => {
+        socket.close();
+        resolve(err.code || 'EUNKNOWN');
+      });
+
+      socket.once('listening', () => {
+        socket.close(() => {
+          resolve(null);
         });
       });
 
-      server.listen(port, '127.0.0.1');
+      socket.bind({ port, address: host, exclusive: true });
     });
   }
 
+  /**
+   * Validate a protocol option ('tcp' | 'udp' | 'both')
+   */
+  static parseProtocol(protocol) {
+    const normalized = String(protocol).toLowerCase();
+    if (!PROTOCOLS[normalized]) {
+      throw new InvalidArgumentError(`Unknown protocol "${protocol}" (expected tcp, udp or both)`);
+    }
+    return normalized;
+  }
+
+  /**
+   * Helper: Fold platform-specific bind errors into the reported reasons
+   */
+  normalizeBindError(code) {
+    if (code === 'EPERM') {
+      return 'EACCES';
+    }
+    if (UNSUPPORTED_ADDRESS_CODES.includes(code)) {
+      return 'EADDRNOTAVAIL';
+    }
+    return code;
+  }
+
   /**
    * Find an available port near the requested port
+   *
+   * options select the search (see PortSearch): strategy ('up' | 'nearest' |
+   * 'random' | 'os'), range, exclude, skipWellKnown, skipEphemeral and seed.
+   */
+  async findAvailablePort(startPort = 3000, maxAttempts = 100, options = {}) {
+    const leased = this.leases ? await this.leases.getLeasedPorts() : new Set();
+    return this.searchAvailablePort(startPort, maxAttempts, leased, options);
+  }
+
+  /**
+   * Search for a free port, skipping leased ports
+   * Candidates are probed concurrently; the first free one in strategy order wins.
    */
-  async findAvailablePort(startPort = 3000, maxAttempts = 100) {
-    // If the start port is available, return it
-    if (await this.isPortAvailable(startPort)) {
-      return startPort;
+  async searchAvailablePort(startPort, maxAttempts, leased, options = {}) {
+    const search = new PortSearch(options);
+
+    if (search.strategy === 'os') {
+      return this.searchOsPort(search, maxAttempts, leased);
     }
-    
-    // Search for the next available port
-    for (let i = 1; i < maxAttempts; i++) {
-      const port = startPort + i;
-      if (port > 65535) break;
-      
-      const available = await this.isPortAvailable(port);
-      if (available) {
+
+    const candidates = search.candidates(startPort, maxAttempts).filter(port => !leased.has(port));
+    const port = await this.probe.findFirstAvailable(candidates);
+    if (port !== null) {
+      return port;
+    }
+
+    const range = search.bounds(startPort, maxAttempts);
+    throw new NoAvailablePortError(`No available port between ${range.start} and ${range.end} (${search.strategy} search)`, {
+      startPort,
+      maxAttempts,
+      strategy: search.strategy,
+      range
+    });
+  }
+
+  /**
+   * Let the OS assign ports until one passes the leases, exclusions and a full check
+   */
+  async searchOsPort(search, maxAttempts, leased) {
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      const port = await this.requestOsPort();
+      if (!leased.has(port) && !search.isExcluded(port) && await this.isPortAvailable(port)) {
         return port;
       }
     }
-    
-    throw new Error(`Could not find available port within ${maxAttempts} attempts`);
+
+    throw new NoAvailablePortError(`The OS did not assign a usable port within ${maxAttempts} attempts`, {
+      maxAttempts,
+      strategy: 'os'
+    });
   }
 
   /**
-   * Get PID of process using a specific port
+   * Bind port 0 and report the port the OS picked
    */
-  async getPortPid(port) {
-    let command;
-    
-    if (this.platform === 'win32') {
-      command = `netstat -ano | findstr :${port} | findstr LISTENING`;
-    } else if (this.platform === 'darwin') {
-      command = `lsof -i :${port} -t`;
-    } else {
-      // Linux
-      command = `ss -tulpn | grep :${port}`;
+  requestOsPort(host = this.host) {
+    const address = host && host !== 'all' && !Array.isArray(host) ? host : '0.0.0.0';
+
+    return new Promise((resolve, reject) => {
+      if (this.protocol === 'udp') {
+        const socket = dgram.createSocket({ type: net.isIPv6(address) ? 'udp6' : 'udp4' });
+        socket.once('error', (err) => {
+          socket.close();
+          reject(err);
+        });
+        socket.bind({ port: 0, address }, () => {
+          const { port } = socket.address();
+          socket.close(() => resolve(port));
+        });
+        return;
+      }
+
+      const server = net.createServer();
+      server.once('error', reject);
+      server.listen({ port: 0, host: address }, () => {
+        const { port } = server.address();
+        server.close(() => resolve(port));
+      });
+    });
+  }
+
+  /**
+   * Find an available port and lease it so concurrent lookups skip it
+   * The search and the lease happen under the registry lock.
+   */
+  async reservePort(startPort = 3000, options = {}) {
+    const leases = this.leases || new LeaseRegistry();
+    const maxAttempts = options.maxAttempts || 100;
+
+    return leases.transaction(async (active) => {
+      const leased = new Set(active.map(l => l.port));
+      const port = await this.searchAvailablePort(startPort, maxAttempts, leased, options);
+      const lease = leases.createLease(port, options);
+      active.push(lease);
+      return lease;
+    });
+  }
+
+  /**
+   * Release a previously reserved port
+   */
+  async releasePort(port) {
+    const leases = this.leases || new LeaseRegistry();
+    return leases.release(port);
+  }
+
+  /**
+   * List active port leases
+   */
+  async getLeases() {
+    const leases = this.leases || new LeaseRegistry();
+    return leases.list();
+  }
+
+  /**
+   * Socket table reader; PortScanner requires this module, so load it lazily
+   */
+  getScanner() {
+    if (!this.scanner) {
+      const PortScanner = require('./scanner');
+      this.scanner = new PortScanner();
     }
+    return this.scanner;
+  }
 
+  /**
+   * Listeners on exactly this port, for the resolver's protocol
+   */
+  async getPortHolders(port) {
+    const scanner = this.getScanner();
     try {
-      const { stdout } = await execPromise(command);
-      
-      if (this.platform === 'win32') {
-        const match = stdout.match(/LISTENING\s+(\d+)/);
-        return match ? parseInt(match[1]) : null;
-      } else if (this.platform === 'darwin') {
-        const pid = stdout.trim();
-        return pid ? parseInt(pid) : null;
-      } else {
-        const match = stdout.match(/pid=(\d+)/);
-        return match ? parseInt(match[1]) : null;
-      }
+      return scanner.filterByProtocol(await scanner.scanPort(port), this.protocol);
     } catch (error) {
-      return null;
+      return [];
     }
   }
 
+  /**
+   * Get PID of process using a specific port
+   */
+  async getPortPid(port) {
+    const holder = (await this.getPortHolders(port)).find(p => p.pid);
+    return holder ? holder.pid : null;
+  }
+
+  /**
+   * Whether a process (or, with pids, any of them) listens on the port
+   */
+  async holdsPort(port, pids) {
+    const wanted = new Set([].concat(pids));
+    return (await this.getPortHolders(port)).some(p => wanted.has(p.pid));
+  }
+
   /**
    * Kill process using a specific port
+   *
+   * Signals are sent in stages (SIGINT, SIGTERM, SIGKILL by default), polling
+   * the port after each one until it is actually free. With `tree` the whole
+   * process tree is signalled, with `group` the listener's process group.
+   *
+   * Every kill goes through a KillPolicy (options.policy). Refusals and
+   * `dryRun` previews are returned as results, never thrown.
+   *
+   * When the port is published by a container, stopping the container is
+   * offered instead of killing the runtime's proxy (unless options.killProxy).
+   *
+   * options.confirm(question) replaces the interactive stdin prompt.
+   *
+   * Every attempted kill (not previews, refusals or cancellations) is
+   * recorded in the history log.
    */
-  async killPort(port, force = false) {
+  async killPort(port, force = false, options = {}) {
     const pid = await this.getPortPid(port);
     
     if (!pid) {
       return { success: false, message: 'No process found on this port' };
     }
 
+    return this.killProcess(port, pid, force, options);
+  }
+
+  /**
+   * Kill one process listening on a port (see killPort)
+   * Nothing is signalled unless pid still listens on exactly this port.
+   */
+  async killProcess(port, pid, force = false, options = {}) {
+    if (!pid) {
+      return { success: false, message: 'The process listening on this port is unknown' };
+    }
+    if (!(await this.holdsPort(port, pid))) {
+      return { success: false, gone: true, message: `PID ${pid} no longer listens on port ${port}`, pid };
+    }
+
     // Get process name before killing
     let processName = 'Unknown';
     try {
@@ -114,9 +393,48 @@ class PortResolver {
       // Ignore errors getting process name
     }
 
+    if (!options.killProxy && ContainerInspector.isProxyProcess(processName)) {
+      const container = await this.containers.findByPort(port);
+      if (container) {
+        return this.stopPortContainer(port, container, force, options, { pid, name: processName });
+      }
+    }
+
+    const uid = await this.getProcessOwner(pid);
+    const policy = options.policy || new KillPolicy();
+    const verdict = policy.check({ port, pid, name: processName, uid });
+
+    if (!verdict.allowed) {
+      return {
+        success: false,
+        refused: true,
+        code: verdict.code,
+        message: `Refused: ${verdict.reason}`,
+        pid,
+        name: processName
+      };
+    }
+
+    if (options.dryRun) {
+      const targets = this.platform === 'win32' ? [pid] : await this.getKillTargets([pid], options);
+      const stages = options.stages || DEFAULT_KILL_STAGES;
+      return {
+        success: false,
+        dryRun: true,
+        message: 'Dry run: nothing was killed',
+        pid,
+        name: processName,
+        uid,
+        targets,
+        group: Boolean(options.group),
+        signals: stages.map(stage => stage.signal)
+      };
+    }
+
     // Ask for confirmation unless force flag is set
     if (!force) {
-      const confirmed = await this.askConfirmation(
+      const confirm = options.confirm || (question => this.askConfirmation(question));
+      const confirmed = await confirm(
         `Are you sure you want to kill process ${processName} (PID: ${pid}) on port ${port}? (y/N): `
       );
       
@@ -125,39 +443,50 @@ class PortResolver {
       }
     }
 
-    // Kill the process
+    // Read what the audit log needs while the process is still there
+    const audit = { uid, cwd: await this.getProcessCwd(pid), args: await this.getProcessArgs(pid) };
+    const result = await this.signalProcess(port, pid, processName, options);
+    await this.recordKill(port, result, audit);
+    return result;
+  }
+
+  /**
+   * Signal a process in stages until the port is free
+   */
+  async signalProcess(port, pid, processName, options) {
     try {
       if (this.platform === 'win32') {
-        await execPromise(`taskkill /PID ${pid} /F`);
-      } else {
-        // Try SIGTERM first, then SIGKILL if needed
-        try {
-          await execPromise(`kill -TERM ${pid}`);
-        } catch (error) {
-          // If SIGTERM fails, try SIGKILL
-          await execPromise(`kill -9 ${pid}`);
-        }
+        // Windows has no signals; taskkill /T covers the process tree
+        await execPromise(`taskkill /PID ${pid} /F${options.tree ? ' /T' : ''}`);
+        const freed = await this.waitForPortFree(port, 2000, options.pollInterval);
+        return this.killResult(freed, pid, processName, freed ? 'taskkill' : null);
       }
-      
-      // Wait a bit and verify the port is free
-      await this.delay(500);
-      const stillInUse = await this.getPortPid(port);
-      
-      if (stillInUse) {
-        return { 
-          success: false, 
-          message: 'Process may still be running',
-          pid,
-          name: processName
-        };
+
+      const stages = options.stages || DEFAULT_KILL_STAGES;
+      for (const stage of stages) {
+        // Re-resolve holders each stage: wrappers may have respawned children,
+        // but only the confirmed process and its descendants are fair game
+        const owned = new Set([pid, ...await this.getDescendants(pid)]);
+        const holders = (await this.getPortHolders(port)).map(p => p.pid);
+        const stranger = holders.find(holder => !owned.has(holder));
+        if (stranger !== undefined && !holders.some(holder => owned.has(holder))) {
+          return {
+            success: false,
+            message: `Port ${port} is now held by PID ${stranger || 'unknown'}, not the confirmed process; stopped`,
+            pid,
+            name: processName
+          };
+        }
+
+        const targets = await this.getKillTargets([pid, ...holders.filter(holder => owned.has(holder))], options);
+        this.sendSignal([...new Set(targets)], stage.signal, options.group);
+
+        if (await this.waitForPortFree(port, stage.timeout, options.pollInterval, [...owned])) {
+          return this.killResult(true, pid, processName, stage.signal);
+        }
       }
-      
-      return { 
-        success: true, 
-        message: 'Process killed successfully',
-        pid,
-        name: processName
-      };
+
+      return this.killResult(false, pid, processName, null);
     } catch (error) {
       return { 
         success: false, 
@@ -168,24 +497,308 @@ class PortResolver {
     }
   }
 
+  /**
+   * Stop the container publishing a port, after confirmation
+   */
+  async stopPortContainer(port, container, force, options, proxy) {
+    const label = `${container.name} (${container.image})`;
+    const base = { pid: proxy.pid, name: proxy.name, container };
+
+    if (options.dryRun) {
+      return {
+        ...base,
+        success: false,
+        dryRun: true,
+        message: `Dry run: would stop container ${label}`
+      };
+    }
+
+    if (!force) {
+      const confirm = options.confirm || (question => this.askConfirmation(question));
+      const confirmed = await confirm(
+        `Port ${port} is published by container ${label}. Stop the container instead of killing ${proxy.name}? (y/N): `
+      );
+
+      if (!confirmed) {
+        return { ...base, success: false, message: 'Cancelled by user' };
+      }
+    }
+
+    let result;
+    try {
+      await this.containers.stopContainer(container);
+      const freed = await this.waitForPortFree(port, 5000, options.pollInterval);
+      result = {
+        ...base,
+        success: freed,
+        message: freed ? `Container ${container.name} stopped` : 'Container stopped but port is still in use',
+        signal: null
+      };
+    } catch (error) {
+      result = { ...base, success: false, message: error.message };
+    }
+
+    await this.recordKill(port, result, {});
+    return result;
+  }
+
+  /**
+   * Append a kill to the history log
+   */
+  async recordKill(port, result, audit) {
+    if (!this.history) {
+      return;
+    }
+
+    await this.history.record({
+      type: 'kill',
+      port,
+      pid: result.pid,
+      command: result.name,
+      args: audit.args || null,
+      cwd: audit.cwd || null,
+      uid: audit.uid !== undefined ? audit.uid : null,
+      user: PortHistory.currentUser(),
+      signal: result.signal || null,
+      success: result.success,
+      message: result.message,
+      container: result.container ? { name: result.container.name, image: result.container.image } : null
+    });
+  }
+
+  /**
+   * Get the working directory of a process, or null when it can't be read
+   */
+  async getProcessCwd(pid) {
+    try {
+      if (this.platform === 'linux') {
+        return await fs.promises.readlink(`/proc/${pid}/cwd`);
+      }
+      if (this.platform === 'darwin') {
+        // -Fn prints the path prefixed with "n"
+        const { stdout } = await execPromise(`lsof -a -p ${pid} -d cwd -Fn`);
+        const line = stdout.split('\n').find(l => l.startsWith('n'));
+        return line ? line.slice(1) : null;
+      }
+    } catch (error) {
+      // Gone, or not ours to inspect
+    }
+    return null;
+  }
+
+  /**
+   * Get the full command line of a process (Unix), or null
+   */
+  async getProcessArgs(pid) {
+    if (this.platform === 'win32') {
+      return null;
+    }
+    try {
+      const { stdout } = await execPromise(`ps -p ${pid} -o args=`);
+      return stdout.trim() || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Build the result object for killPort
+   */
+  killResult(freed, pid, processName, signal) {
+    return {
+      success: freed,
+      message: freed ? 'Process killed successfully' : 'Process may still be running',
+      pid,
+      name: processName,
+      signal
+    };
+  }
+
+  /**
+   * Resolve the PIDs (or process groups) a kill stage should signal
+   */
+  async getKillTargets(pids, options = {}) {
+    const targets = new Set(pids);
+
+    if (options.group) {
+      const groups = new Set();
+      const ownGroup = await this.getProcessGroup(process.pid);
+      for (const pid of targets) {
+        const pgid = await this.getProcessGroup(pid);
+        // Never signal our own group
+        if (pgid && pgid !== ownGroup) {
+          groups.add(pgid);
+        }
+      }
+      return [...groups];
+    }
+
+    if (options.tree) {
+      for (const pid of [...targets]) {
+        for (const child of await this.getDescendants(pid)) {
+          targets.add(child);
+        }
+      }
+    }
+
+    return [...targets];
+  }
+
+  /**
+   * Get all descendant PIDs of a process (Unix)
+   */
+  async getDescendants(pid) {
+    let stdout;
+    try {
+      ({ stdout } = await execPromise('ps -A -o pid=,ppid='));
+    } catch (error) {
+      return [];
+    }
+
+    const children = new Map();
+    for (const line of stdout.trim().split('\n')) {
+      const [child, parent] = line.trim().split(/\s+/).map(Number);
+      if (!children.has(parent)) {
+        children.set(parent, []);
+      }
+      children.get(parent).push(child);
+    }
+
+    const descendants = [];
+    const queue = [pid];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const child of children.get(current) || []) {
+        descendants.push(child);
+        queue.push(child);
+      }
+    }
+    return descendants;
+  }
+
+  /**
+   * Get the UID owning a process (Unix), or null when unknown
+   */
+  async getProcessOwner(pid) {
+    if (this.platform === 'win32') {
+      return null;
+    }
+    try {
+      const { stdout } = await execPromise(`ps -o uid= -p ${pid}`);
+      const uid = parseInt(stdout.trim());
+      return isNaN(uid) ? null : uid;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the process group ID of a process (Unix)
+   */
+  async getProcessGroup(pid) {
+    try {
+      const { stdout } = await execPromise(`ps -o pgid= -p ${pid}`);
+      const pgid = parseInt(stdout.trim());
+      return isNaN(pgid) ? null : pgid;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Send a signal to processes, or to process groups when group is set
+   * Processes that already exited are ignored.
+   */
+  sendSignal(targets, signal, group = false) {
+    for (const target of targets) {
+      try {
+        process.kill(group ? -target : target, signal);
+      } catch (error) {
+        if (error.code !== 'ESRCH') {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Poll until nothing listens on the port, or the timeout expires
+   * With pids, wait only until none of those processes listens on it.
+   */
+  async waitForPortFree(port, timeout, interval = 100, pids = null) {
+    const deadline = Date.now() + timeout;
+
+    while (true) {
+      const holders = await this.getPortHolders(port);
+      if (!holders.some(p => (pids ? pids.includes(p.pid) : true))) {
+        return true;
+      }
+      if (Date.now() >= deadline) {
+        return false;
+      }
+      await this.delay(interval);
+    }
+  }
+
+  /**
+   * Parse kill stages from a string like "INT:1000,TERM:3000,KILL:2000"
+   */
+  static parseKillStages(spec) {
+    return spec.split(',').map(part => {
+      const [name, timeout] = part.trim().split(':');
+      const upper = name.toUpperCase();
+      const signal = upper.startsWith('SIG') ? upper : `SIG${upper}`;
+      if (!(signal in os.constants.signals)) {
+        throw new InvalidArgumentError(`Unknown signal: ${name}`);
+      }
+      return { signal, timeout: timeout ? parseInt(timeout) : 2000 };
+    });
+  }
+
   /**
    * Kill all processes on a list of ports
    */
-  async killPorts(ports, force = false) {
+  async killPorts(ports, force = false, options = {}) {
     const results = [];
     
     for (const port of ports) {
-      const result = await this.killPort(port, force);
+      const result = await this.killPort(port, force, options);
       results.push({ port, ...result });
     }
     
     return results;
   }
 
+  /**
+   * Kill specific processes: [{ port, pid }]
+   * Each pid is checked to still hold its port before it is signalled. A
+   * process listening on several ports is killed once.
+   */
+  async killProcesses(targets, force = false, options = {}) {
+    const results = [];
+    const killed = new Map();
+
+    for (const { port, pid } of targets) {
+      const earlier = killed.get(pid);
+      if (earlier) {
+        results.push({ ...earlier, port, message: `Killed along with port ${earlier.port}` });
+        continue;
+      }
+
+      const result = { port, ...await this.killProcess(port, pid, force, options) };
+      if (result.success) {
+        killed.set(pid, result);
+      }
+      results.push(result);
+    }
+
+    return results;
+  }
+
   /**
    * Auto-resolve port conflict by killing conflicting process
    */
-  async autoResolve(port, force = false) {
+  async autoResolve(port, force = false, options = {}) {
     const pid = await this.getPortPid(port);
     
     if (!pid) {
@@ -196,7 +809,7 @@ class PortResolver {
       };
     }
 
-    const result = await this.killPort(port, force);
+    const result = await this.killPort(port, force, options);
     
     return {
       resolved: result.success,
@@ -208,67 +821,101 @@ class PortResolver {
 
   /**
    * Get all ports that are in use in a range
+   * Pass options.snapshot (PortScanner#createSnapshot) to skip binding ports
+   * already known to be listening.
    */
-  async getUsedPortsInRange(start, end) {
-    const usedPorts = [];
-    
+  async getUsedPortsInRange(start, end, options = {}) {
+    const ports = [];
     for (let port = start; port <= end; port++) {
-      const available = await this.isPortAvailable(port);
-      if (!available) {
-        usedPorts.push(port);
-      }
+      ports.push(port);
     }
-    
-    return usedPorts;
+
+    const results = await this.probe.checkPorts(ports, options);
+    return results.filter(r => !r.available).map(r => r.port);
   }
 
   /**
-   * Suggest a port configuration for common frameworks
+   * Built-in port suggestions for common frameworks
+   * Configured preferences come from getConfig().getFrameworkSuggestions().
    */
   static getFrameworkSuggestions() {
-    return {
-      'React/Vite': [5173, 5174, 5175, 5180],
-      'Next.js': [3000, 3001, 3002, 3003],
-      'Create React App': [3000, 3001, 3002],
-      'Vue CLI/Vite': [5173, 5174, 5175, 8080],
-      'Angular': [4200, 4201],
-      'Express': [3000, 4000, 5000, 8080],
-      'FastAPI': [8000, 8001, 8080],
-      'Flask': [5000, 5001, 8000],
-      'Django': [8000, 8001, 8080],
-      'Ruby on Rails': [3000, 5000],
-      'Laravel': [8000, 8001],
-      'Node.js': [3000, 4000, 5000, 8080],
-      'NestJS': [3000, 4000, 5000],
-      'Gatsby': [8000, 8001],
-      'Hugo': [1313, 1314],
-      'Spring Boot': [8080, 8081, 8443],
-      'ASP.NET Core': [5000, 5001, 8080],
-      'Docker': [2375, 2376, 5000, 8080],
-      'PostgreSQL': [5432, 5433],
-      'MySQL': [3306, 3307],
-      'MongoDB': [27017, 27018, 27019],
-      'Redis': [6379, 6380],
-      'Elasticsearch': [9200, 9300],
-    };
+    return PortConfig.defaults().getFrameworkSuggestions();
+  }
+
+  /**
+   * Patterns used to recognize the frameworks in getFrameworkSuggestions
+   * from a process command line (`args`) and/or its package.json
+   * dependencies (`requires`). The first matching entry wins.
+   */
+  static getFrameworkSignatures() {
+    const node = /(^|\/)node(\s|$)/;
+
+    return [
+      { framework: 'Vue CLI/Vite', args: /vue-cli-service/ },
+      { framework: 'Vue CLI/Vite', args: /\bvite\b/, requires: 'vue' },
+      { framework: 'React/Vite', args: /\bvite\b/ },
+      { framework: 'Next.js', args: /\bnext(-server|\s+(dev|start))\b/ },
+      { framework: 'Create React App', args: /react-scripts/ },
+      { framework: 'Angular', args: /\bng\s+serve\b|@angular\/cli/ },
+      { framework: 'Gatsby', args: /\bgatsby\b/ },
+      { framework: 'Hugo', args: /\bhugo\b/ },
+      { framework: 'Django', args: /manage\.py\s+runserver|\bdjango\b/ },
+      { framework: 'FastAPI', args: /\buvicorn\b|\bfastapi\b/ },
+      { framework: 'Flask', args: /\bflask\b/ },
+      { framework: 'Ruby on Rails', args: /\brails\s+(s|server)\b|\bpuma\b/ },
+      { framework: 'Laravel', args: /artisan\s+serve/ },
+      { framework: 'Spring Boot', args: /spring-boot|org\.springframework/ },
+      { framework: 'ASP.NET Core', args: /\bdotnet\b/ },
+      { framework: 'PostgreSQL', args: /\bpostgres\b|\bpostmaster\b/ },
+      { framework: 'MySQL', args: /\bmysqld\b|\bmariadbd\b/ },
+      { framework: 'MongoDB', args: /\bmongod\b/ },
+      { framework: 'Redis', args: /\bredis-server\b/ },
+      { framework: 'Elasticsearch', args: /elasticsearch/ },
+      { framework: 'Docker', args: /docker-proxy|\bdockerd\b/ },
+      { framework: 'NestJS', args: node, requires: '@nestjs/core' },
+      { framework: 'Express', args: node, requires: 'express' },
+      { framework: 'Node.js', args: node }
+    ];
+  }
+
+  /**
+   * Guess the framework behind a process from its command line and package.json
+   * Returns a getFrameworkSuggestions key, or null.
+   */
+  static detectFramework(args, packageJson = null) {
+    const deps = packageJson
+      ? { ...packageJson.dependencies, ...packageJson.devDependencies }
+      : {};
+
+    for (const signature of PortResolver.getFrameworkSignatures()) {
+      if (signature.args && !signature.args.test(args || '')) {
+        continue;
+      }
+      if (signature.requires && !(signature.requires in deps)) {
+        continue;
+      }
+      return signature.framework;
+    }
+
+    return null;
   }
 
   /**
    * Find best available port for a specific framework
+   * Preferences come from the framework profiles in the active config;
+   * leased ports are skipped.
    */
   async findPortForFramework(framework) {
-    const suggestions = PortResolver.getFrameworkSuggestions();
-    const preferredPorts = suggestions[framework] || [3000, 4000, 5000, 8000];
-    
-    for (const port of preferredPorts) {
-      const available = await this.isPortAvailable(port);
-      if (available) {
-        return port;
-      }
+    const preferredPorts = this.getConfig().getFrameworkPorts(framework) || [3000, 4000, 5000, 8000];
+    const leased = this.leases ? await this.leases.getLeasedPorts() : new Set();
+
+    const port = await this.probe.findFirstAvailable(preferredPorts.filter(p => !leased.has(p)));
+    if (port !== null) {
+      return port;
     }
     
     // If none of the preferred ports are available, find any available port
-    return await this.findAvailablePort(3000);
+    return await this.searchAvailablePort(3000, 100, leased);
   }
 
   /**
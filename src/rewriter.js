@@ -0,0 +1,280 @@
+const fs = require('fs');
+const path = require('path');
+const PortResolver = require('./resolver');
+
+const ENV_FILES = ['.env', '.env.local', '.env.development', '.env.development.local'];
+const VITE_CONFIGS = ['vite.config.js', 'vite.config.ts', 'vite.config.mjs', 'vite.config.mts', 'vite.config.cjs', 'vite.config.cts'];
+
+// `ng serve` listens here unless angular.json says otherwise
+const ANGULAR_DEFAULT_PORT = 4200;
+
+// Scripts consulted, in order, to recognize the framework a project runs
+const DEV_SCRIPTS = ['dev', 'start', 'serve', 'develop'];
+
+/**
+ * Rewrites the port a project is configured to use
+ *
+ * Knows where the common frameworks read their port from:
+ *   .env / .env.local ...   PORT, VITE_PORT, API_PORT, ... keys
+ *   vite.config.*           server.port (and other `port:` keys with the old value)
+ *   package.json            script flags: --port 3000, --port=3000, -p 3000, PORT=3000
+ *   angular.json            serve options.port (added when 4200 was implied)
+ *
+ * Only values equal to the old port are touched. Plans are computed without
+ * writing; apply() writes them and keeps a `.bak` copy of every file.
+ */
+class ConfigRewriter {
+  constructor(dir = process.cwd()) {
+    this.dir = path.resolve(dir);
+  }
+
+  /**
+   * The project's package.json, or null
+   */
+  readPackageJson() {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.dir, 'package.json'), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Guess the project's framework (a getFrameworkSuggestions key) from its dev script
+   */
+  detectFramework() {
+    const pkg = this.readPackageJson();
+    if (fs.existsSync(path.join(this.dir, 'angular.json'))) {
+      return 'Angular';
+    }
+    if (!pkg) {
+      return null;
+    }
+
+    const scripts = pkg.scripts || {};
+    const script = DEV_SCRIPTS.map(name => scripts[name]).find(Boolean);
+    return script ? PortResolver.detectFramework(script, pkg) : null;
+  }
+
+  /**
+   * Work out every change needed to move the project from one port to another
+   * Returns [{ file, kind, before, after, changes }] for files that change.
+   */
+  plan(from, to) {
+    const targets = [
+      ...ENV_FILES.map(name => ({ name, kind: 'env', rewrite: ConfigRewriter.rewriteEnv })),
+      ...VITE_CONFIGS.map(name => ({ name, kind: 'vite', rewrite: ConfigRewriter.rewriteVite })),
+      { name: 'package.json', kind: 'package.json', rewrite: ConfigRewriter.rewritePackageJson },
+      { name: 'angular.json', kind: 'angular.json', rewrite: ConfigRewriter.rewriteAngular }
+    ];
+
+    const changes = [];
+    for (const target of targets) {
+      const file = path.join(this.dir, target.name);
+      if (!fs.existsSync(file)) {
+        continue;
+      }
+
+      const before = fs.readFileSync(file, 'utf8');
+      const result = target.rewrite(before, from, to);
+      if (result.changes > 0) {
+        changes.push({ file, kind: target.kind, before, after: result.content, changes: result.changes });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Write planned changes, copying each original to <file>.bak first
+   * An existing .bak is kept: it holds the original from before the first run.
+   */
+  apply(changes) {
+    return changes.map((change) => {
+      const backup = `${change.file}.bak`;
+      try {
+        fs.copyFileSync(change.file, backup, fs.constants.COPYFILE_EXCL);
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+      fs.writeFileSync(change.file, change.after);
+      return { file: change.file, backup };
+    });
+  }
+
+  /**
+   * .env: *PORT keys holding the old port
+   */
+  static rewriteEnv(content, from, to) {
+    let changes = 0;
+    const updated = content.replace(
+      /^(\s*(?:export\s+)?(?:[A-Za-z_][A-Za-z0-9_]*)?PORT\s*=\s*)(["']?)(\d+)\2(?=\s*(?:#.*)?$)/gm,
+      (match, prefix, quote, port) => {
+        if (parseInt(port) !== from) {
+          return match;
+        }
+        changes++;
+        return `${prefix}${quote}${to}${quote}`;
+      }
+    );
+    return { content: updated, changes };
+  }
+
+  /**
+   * vite.config.*: `port: 3000` entries (server.port, preview.port, hmr.port)
+   */
+  static rewriteVite(content, from, to) {
+    let changes = 0;
+    const updated = content.replace(/(\bport\s*:\s*)(\d+)\b/g, (match, prefix, port) => {
+      if (parseInt(port) !== from) {
+        return match;
+      }
+      changes++;
+      return `${prefix}${to}`;
+    });
+    return { content: updated, changes };
+  }
+
+  /**
+   * package.json: port flags and PORT= prefixes in scripts
+   * Scripts are replaced as JSON string literals so the rest of the file keeps its formatting.
+   */
+  static rewritePackageJson(content, from, to) {
+    let pkg;
+    try {
+      pkg = JSON.parse(content);
+    } catch (error) {
+      return { content, changes: 0 };
+    }
+
+    let changes = 0;
+    let updated = content;
+    for (const script of Object.values(pkg.scripts || {})) {
+      const result = ConfigRewriter.rewriteScript(script, from, to);
+      const literal = JSON.stringify(script);
+      if (result.changes > 0 && updated.includes(literal)) {
+        updated = updated.replace(literal, () => JSON.stringify(result.content));
+        changes += result.changes;
+      }
+    }
+    return { content: updated, changes };
+  }
+
+  /**
+   * Helper: One script command line
+   */
+  static rewriteScript(script, from, to) {
+    let changes = 0;
+    const updated = script.replace(
+      /((?:^|\s)(?:--port[=\s]+|-p[=\s]+|(?:[A-Z_]*_)?PORT=))(\d+)\b/g,
+      (match, prefix, port) => {
+        if (parseInt(port) !== from) {
+          return match;
+        }
+        changes++;
+        return `${prefix}${to}`;
+      }
+    );
+    return { content: updated, changes };
+  }
+
+  /**
+   * angular.json: serve options.port of every project
+   * Projects relying on the default port get an explicit one.
+   */
+  static rewriteAngular(content, from, to) {
+    let workspace;
+    try {
+      workspace = JSON.parse(content);
+    } catch (error) {
+      return { content, changes: 0 };
+    }
+
+    let changes = 0;
+    for (const project of Object.values(workspace.projects || {})) {
+      const targets = project.architect || project.targets || {};
+      const serve = targets.serve;
+      if (!serve) {
+        continue;
+      }
+
+      serve.options = serve.options || {};
+      const port = serve.options.port !== undefined ? parseInt(serve.options.port) : ANGULAR_DEFAULT_PORT;
+      if (port === from) {
+        serve.options.port = to;
+        changes++;
+      }
+
+      for (const configuration of Object.values(serve.configurations || {})) {
+        if (configuration.port !== undefined && parseInt(configuration.port) === from) {
+          configuration.port = to;
+          changes++;
+        }
+      }
+    }
+
+    if (changes === 0) {
+      return { content, changes };
+    }
+
+    const indent = (content.match(/^([ \t]+)"/m) || [null, '  '])[1];
+    const newline = content.endsWith('\n') ? '\n' : '';
+    return { content: JSON.stringify(workspace, null, indent) + newline, changes };
+  }
+
+  /**
+   * Line diff of two versions of a file, unified style with one line of context
+   */
+  static diff(before, after, file = 'file') {
+    const a = before.split('\n');
+    const b = after.split('\n');
+
+    // Longest common subsequence table, filled from the end
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        ops.push({ type: ' ', line: a[i], at: i + 1 });
+        i++;
+        j++;
+      } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        ops.push({ type: '-', line: a[i], at: i + 1 });
+        i++;
+      } else {
+        ops.push({ type: '+', line: b[j], at: i + 1 });
+        j++;
+      }
+    }
+
+    const output = [`--- ${file}`, `+++ ${file}`];
+    let last = -2;
+    ops.forEach((op, index) => {
+      const near = ops.slice(Math.max(index - 1, 0), index + 2).some(o => o.type !== ' ');
+      if (!near) {
+        return;
+      }
+      if (index > last + 1) {
+        output.push(`@@ line ${op.at} @@`);
+      }
+      output.push(`${op.type}${op.line}`);
+      last = index;
+    });
+
+    return output.join('\n');
+  }
+}
+
+ConfigRewriter.ENV_FILES = ENV_FILES;
+ConfigRewriter.VITE_CONFIGS = VITE_CONFIGS;
+
+module.exports = ConfigRewriter;
@@ -0,0 +1,74 @@
+const { spawn } = require('child_process');
+
+const FORWARDED_SIGNALS = ['SIGINT', 'SIGTERM', 'SIGHUP', 'SIGQUIT'];
+const PORT_PLACEHOLDER = /\{port\}/g;
+
+class PortRunner {
+  constructor(resolver) {
+    this.resolver = resolver;
+  }
+
+  /**
+   * Replace {port} placeholders in command arguments
+   */
+  static substitutePort(args, port) {
+    return args.map(arg => arg.replace(PORT_PLACEHOLDER, String(port)));
+  }
+
+  /**
+   * Pick a free port and lease it for the lifetime of this process
+   */
+  async preparePort(port, owner) {
+    // The lease is tied to our PID, so it disappears if we die unexpectedly
+    return this.resolver.reservePort(port, { owner, pid: process.pid });
+  }
+
+  /**
+   * Run a command with the given port injected, forwarding signals to it
+   * Resolves with the child's exit code and terminating signal.
+   */
+  run(command, args, options = {}) {
+    const port = options.port;
+    const env = { ...process.env };
+    if (options.env) {
+      env[options.env] = String(port);
+    }
+
+    const child = spawn(command, PortRunner.substitutePort(args, port), {
+      stdio: 'inherit',
+      env,
+      // npm, yarn etc. are .cmd shims on Windows and need a shell
+      shell: process.platform === 'win32'
+    });
+
+    const forwarders = FORWARDED_SIGNALS.map(signal => {
+      const handler = () => {
+        if (child.exitCode === null) {
+          child.kill(signal);
+        }
+      };
+      process.on(signal, handler);
+      return [signal, handler];
+    });
+
+    const cleanup = () => {
+      for (const [signal, handler] of forwarders) {
+        process.removeListener(signal, handler);
+      }
+    };
+
+    return new Promise((resolve, reject) => {
+      child.once('error', (error) => {
+        cleanup();
+        reject(error);
+      });
+
+      child.once('exit', (code, signal) => {
+        cleanup();
+        resolve({ code, signal, pid: child.pid });
+      });
+    });
+  }
+}
+
+module.exports = PortRunner;
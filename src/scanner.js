@@ -1,18 +1,44 @@
 const { exec } = require('child_process');
+const fs = require('fs');
+const path = require('path');
 const util = require('util');
 const execPromise = util.promisify(exec);
+const PortResolver = require('./resolver');
+const ContainerInspector = require('./containers');
+const PortSnapshot = require('./snapshot');
+const PortConfig = require('./config');
+const PortFingerprinter = require('./fingerprint');
+const { ScanError } = require('./errors');
 
-const COMMON_PORTS = [
-  80, 443, 3000, 3001, 3002, 3003, 3004, 3005, 3006, 3007, 3008, 3009,
-  3010, 4000, 4001, 4200, 5000, 5001, 5173, 5174, 5175, 5176, 5177,
-  5178, 5179, 5180, 5500, 6000, 7000, 8000, 8080, 8081, 8082, 8083,
-  8084, 8085, 8086, 8087, 8088, 8089, 8090, 8443, 8888, 9000, 9001,
-  9200, 9300, 27017, 27018, 27019, 5432, 6379, 3306, 11211
+// Socket states from include/net/tcp_states.h
+const TCP_LISTEN = '0A';
+const UDP_UNCONN = '07';
+
+const PROC_NET_FILES = [
+  { file: 'tcp', protocol: 'tcp', ipv6: false },
+  { file: 'tcp6', protocol: 'tcp', ipv6: true },
+  { file: 'udp', protocol: 'udp', ipv6: false },
+  { file: 'udp6', protocol: 'udp', ipv6: true }
 ];
 
 class PortScanner {
-  constructor() {
+  constructor(options = {}) {
     this.platform = process.platform;
+    this.procRoot = options.procRoot || '/proc';
+    this.containers = options.containers || new ContainerInspector();
+    this.fingerprinter = options.fingerprinter || new PortFingerprinter();
+    // Port profiles; loaded from the config layers on first use
+    this.config = options.config || null;
+  }
+
+  /**
+   * Active configuration (defaults, user config, project file)
+   */
+  getConfig() {
+    if (!this.config) {
+      this.config = PortConfig.load();
+    }
+    return this.config;
   }
 
   /**
@@ -32,6 +58,14 @@ class PortScanner {
    * Get list of ports in use based on platform
    */
   async getActivePorts() {
+    if (this.platform === 'linux') {
+      try {
+        return await this.getActivePortsFromProc();
+      } catch (error) {
+        // /proc is unavailable (or unreadable), fall back to ss below
+      }
+    }
+
     let command;
     
     if (this.platform === 'win32') {
@@ -39,8 +73,8 @@ class PortScanner {
     } else if (this.platform === 'darwin') {
       command = 'lsof -i -P -n | grep LISTEN';
     } else {
-      // Linux
-      command = 'ss -tulpn | grep LISTEN';
+      // Linux: listening TCP sockets and bound (unconnected) UDP sockets
+      command = "ss -tulpn | grep -E 'LISTEN|UNCONN'";
     }
 
     const output = await this.executeCommand(command);
@@ -126,11 +160,19 @@ class PortScanner {
       }
     }
 
-    // Remove duplicates
+    return this.dedupePorts(ports);
+  }
+
+  /**
+   * Remove duplicate socket entries and sort by port
+   * A socket is its port, protocol, address and owner: a process with TCP and
+   * UDP sockets on one port, or sockets of unknown owners, stay separate.
+   */
+  dedupePorts(ports) {
     const uniquePorts = [];
     const seen = new Set();
     for (const p of ports) {
-      const key = `${p.port}-${p.pid}`;
+      const key = [p.port, String(p.protocol || 'tcp').toLowerCase(), p.address, p.pid].join('-');
       if (!seen.has(key)) {
         seen.add(key);
         uniquePorts.push(p);
@@ -140,35 +182,259 @@ class PortScanner {
     return uniquePorts.sort((a, b) => a.port - b.port);
   }
 
+  /**
+   * Read listening sockets straight from /proc/net (Linux only)
+   */
+  async getActivePortsFromProc() {
+    const sockets = [];
+    let readable = 0;
+
+    for (const { file, protocol, ipv6 } of PROC_NET_FILES) {
+      let content;
+      try {
+        content = await fs.promises.readFile(path.join(this.procRoot, 'net', file), 'utf8');
+      } catch (error) {
+        // tcp6/udp6 are missing when IPv6 is disabled
+        continue;
+      }
+      readable++;
+      sockets.push(...this.parseProcNet(content, protocol, ipv6));
+    }
+
+    if (readable === 0) {
+      throw new ScanError(`No socket tables found under ${this.procRoot}/net`);
+    }
+
+    const owners = await this.mapInodesToPids();
+    const ports = [];
+
+    for (const socket of sockets) {
+      const owner = owners.get(socket.inode);
+      ports.push({
+        port: socket.port,
+        pid: owner ? owner.pid : 0,
+        protocol: socket.protocol,
+        address: socket.address,
+        command: owner ? owner.command : '',
+        state: socket.state
+      });
+    }
+
+    return this.dedupePorts(ports);
+  }
+
+  /**
+   * Parse the contents of /proc/net/{tcp,tcp6,udp,udp6}
+   * Only listening TCP sockets and unconnected UDP sockets are returned.
+   */
+  parseProcNet(content, protocol, ipv6 = false) {
+    const sockets = [];
+    const lines = content.trim().split('\n').slice(1);
+    const wanted = protocol === 'udp' ? UDP_UNCONN : TCP_LISTEN;
+
+    for (const line of lines) {
+      // sl local_address rem_address st tx_queue:rx_queue tr:tm->when retrnsmt uid timeout inode
+      const parts = line.trim().split(/\s+/);
+      if (parts.length < 10 || parts[3] !== wanted) {
+        continue;
+      }
+
+      const [hexAddress, hexPort] = parts[1].split(':');
+      const port = parseInt(hexPort, 16);
+      const inode = parseInt(parts[9]);
+      if (isNaN(port) || port === 0) {
+        continue;
+      }
+
+      sockets.push({
+        port,
+        inode,
+        protocol,
+        address: ipv6 ? this.decodeProcIPv6(hexAddress) : this.decodeProcIPv4(hexAddress),
+        state: protocol === 'udp' ? 'UNCONN' : 'LISTEN'
+      });
+    }
+
+    return sockets;
+  }
+
+  /**
+   * Decode a little-endian hex IPv4 address as found in /proc/net/tcp
+   */
+  decodeProcIPv4(hex) {
+    const bytes = [];
+    for (let i = 6; i >= 0; i -= 2) {
+      bytes.push(parseInt(hex.substr(i, 2), 16));
+    }
+    return bytes.join('.');
+  }
+
+  /**
+   * Decode a /proc/net/tcp6 address (four little-endian 32-bit words)
+   * into the bracketed form printed by ss, e.g. [::1]
+   */
+  decodeProcIPv6(hex) {
+    const groups = [];
+    for (let word = 0; word < 4; word++) {
+      const chunk = hex.substr(word * 8, 8);
+      const bytes = chunk.match(/../g).reverse().join('');
+      groups.push(bytes.substr(0, 4), bytes.substr(4, 4));
+    }
+
+    const words = groups.map(g => parseInt(g, 16).toString(16));
+
+    // IPv4-mapped addresses (::ffff:a.b.c.d)
+    if (words.slice(0, 5).every(w => w === '0') && words[5] === 'ffff') {
+      const v4 = groups.slice(6).join('').match(/../g).map(b => parseInt(b, 16)).join('.');
+      return `[::ffff:${v4}]`;
+    }
+
+    // Collapse the longest run of zero groups into ::
+    let bestStart = -1;
+    let bestLength = 0;
+    for (let i = 0; i < words.length; i++) {
+      if (words[i] !== '0') continue;
+      let j = i;
+      while (j < words.length && words[j] === '0') j++;
+      if (j - i > bestLength) {
+        bestStart = i;
+        bestLength = j - i;
+      }
+      i = j;
+    }
+
+    if (bestLength < 2) {
+      return `[${words.join(':')}]`;
+    }
+
+    const head = words.slice(0, bestStart).join(':');
+    const tail = words.slice(bestStart + bestLength).join(':');
+    return `[${head}::${tail}]`;
+  }
+
+  /**
+   * Map socket inodes to their owning process by walking /proc/<pid>/fd
+   * Processes we are not allowed to inspect are skipped.
+   */
+  async mapInodesToPids() {
+    const owners = new Map();
+    let entries;
+
+    try {
+      entries = await fs.promises.readdir(this.procRoot);
+    } catch (error) {
+      return owners;
+    }
+
+    for (const entry of entries) {
+      if (!/^\d+$/.test(entry)) {
+        continue;
+      }
+
+      const fdDir = path.join(this.procRoot, entry, 'fd');
+      let fds;
+      try {
+        fds = await fs.promises.readdir(fdDir);
+      } catch (error) {
+        continue;
+      }
+
+      let command = null;
+      for (const fd of fds) {
+        let target;
+        try {
+          target = await fs.promises.readlink(path.join(fdDir, fd));
+        } catch (error) {
+          continue;
+        }
+
+        const match = target.match(/^socket:\[(\d+)\]$/);
+        if (!match) {
+          continue;
+        }
+
+        const inode = parseInt(match[1]);
+        if (owners.has(inode)) {
+          continue;
+        }
+
+        if (command === null) {
+          command = await this.readProcComm(entry);
+        }
+        owners.set(inode, { pid: parseInt(entry), command });
+      }
+    }
+
+    return owners;
+  }
+
+  /**
+   * Read the short command name of a process from /proc/<pid>/comm
+   */
+  async readProcComm(pid) {
+    try {
+      const comm = await fs.promises.readFile(path.join(this.procRoot, String(pid), 'comm'), 'utf8');
+      return comm.trim();
+    } catch (error) {
+      return '';
+    }
+  }
+
+  /**
+   * Read the socket table once for a batch of queries
+   */
+  async createSnapshot() {
+    return new PortSnapshot(await this.getActivePorts());
+  }
+
   /**
    * Scan a specific port
+   * Pass a snapshot to answer from it instead of rescanning.
    */
-  async scanPort(port) {
-    const activePorts = await this.getActivePorts();
+  async scanPort(port, snapshot = null) {
+    const activePorts = snapshot ? snapshot.ports : await this.getActivePorts();
     return activePorts.filter(p => p.port === port);
   }
 
   /**
    * Scan a range of ports
    */
-  async scanRange(start, end) {
-    const activePorts = await this.getActivePorts();
+  async scanRange(start, end, snapshot = null) {
+    const activePorts = snapshot ? snapshot.ports : await this.getActivePorts();
     return activePorts.filter(p => p.port >= start && p.port <= end);
   }
 
+  /**
+   * Keep only records of one transport protocol ('tcp' or 'udp')
+   */
+  filterByProtocol(ports, protocol) {
+    if (!protocol || protocol === 'both') {
+      return ports;
+    }
+    return ports.filter(p => String(p.protocol || 'tcp').toLowerCase().startsWith(protocol.toLowerCase()));
+  }
+
   /**
    * Scan common development ports
    */
-  async scanCommonPorts() {
-    const activePorts = await this.getActivePorts();
-    const commonPortSet = new Set(COMMON_PORTS);
-    return activePorts.filter(p => commonPortSet.has(p.port));
+  async scanCommonPorts(snapshot = null) {
+    return this.scanProfile('common', snapshot);
+  }
+
+  /**
+   * Scan the ports of a named profile (see PortConfig)
+   */
+  async scanProfile(name, snapshot = null) {
+    const profile = this.getConfig().getProfile(name);
+    const activePorts = snapshot ? snapshot.ports : await this.getActivePorts();
+    return activePorts.filter(p => PortConfig.matches(profile, p.port));
   }
 
   /**
    * Get detailed process info for a port
+   * With options.identify, a `fingerprint` of the service is attached too.
    */
-  async getProcessInfo(port) {
+  async getProcessInfo(port, options = {}) {
     const ports = await this.scanPort(port);
     if (ports.length === 0) {
       return null;
@@ -194,15 +460,173 @@ class PortScanner {
         const argsOutput = await this.executeCommand(psCommand);
         portInfo.processArgs = argsOutput.trim();
       }
+
+      if (portInfo.pid) {
+        Object.assign(portInfo, await this.getProcessDetails(portInfo.pid));
+      }
     } catch (error) {
       portInfo.processName = 'Unknown';
     }
 
+    if (options.identify && String(portInfo.protocol || 'tcp').toLowerCase().startsWith('tcp')) {
+      portInfo.fingerprint = await this.fingerprinter.identify(port, PortFingerprinter.connectHost(portInfo.address));
+    }
+
     return portInfo;
   }
 
+  /**
+   * Add working directory, full command line, project and framework to port records
+   * Ports published by a container also get a `container` field.
+   */
+  async enrichPorts(ports) {
+    const details = new Map();
+    await this.annotateContainers(ports);
+
+    for (const p of ports) {
+      if (!p.pid) {
+        continue;
+      }
+      if (!details.has(p.pid)) {
+        details.set(p.pid, await this.getProcessDetails(p.pid));
+      }
+      Object.assign(p, details.get(p.pid));
+    }
+
+    return ports;
+  }
+
+  /**
+   * Attach a `fingerprint` (what actually answers on the port) to TCP port records
+   */
+  async identifyPorts(ports) {
+    const fingerprints = await this.fingerprinter.identifyPorts(ports);
+    for (const p of ports) {
+      const fingerprint = fingerprints.get(`${PortFingerprinter.connectHost(p.address)} ${p.port}`);
+      if (fingerprint) {
+        p.fingerprint = fingerprint;
+      }
+    }
+    return ports;
+  }
+
+  /**
+   * Attach the publishing container ({ id, name, image, composeProject, runtime })
+   * to port records held by a container runtime
+   */
+  async annotateContainers(ports) {
+    if (ports.length === 0) {
+      return ports;
+    }
+
+    const containers = await this.containers.getContainers();
+    for (const p of ports) {
+      const container = ContainerInspector.matchPort(containers, p.port, p.protocol || 'tcp');
+      if (container) {
+        const { ports: published, ...summary } = container;
+        p.container = summary;
+      }
+    }
+
+    return ports;
+  }
+
+  /**
+   * Resolve a process's cwd and command line, and infer its project and framework
+   */
+  async getProcessDetails(pid) {
+    const cwd = await this.getProcessCwd(pid);
+    const args = await this.getProcessArgs(pid);
+    const project = cwd ? this.findProject(cwd) : { project: null, gitRoot: null, packageJson: null };
+
+    return {
+      cwd,
+      args,
+      project: project.project,
+      gitRoot: project.gitRoot,
+      framework: PortResolver.detectFramework(args, project.packageJson)
+    };
+  }
+
+  /**
+   * Get the working directory of a process, or null when it can't be read
+   */
+  async getProcessCwd(pid) {
+    if (this.platform === 'linux') {
+      try {
+        return await fs.promises.readlink(path.join(this.procRoot, String(pid), 'cwd'));
+      } catch (error) {
+        return null;
+      }
+    }
+
+    if (this.platform === 'darwin') {
+      // -Fn prints fields one per line, the path prefixed with "n"
+      const output = await this.executeCommand(`lsof -a -p ${pid} -d cwd -Fn`);
+      const line = output.split('\n').find(l => l.startsWith('n'));
+      return line ? line.slice(1) : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the full command line of a process
+   */
+  async getProcessArgs(pid) {
+    if (this.platform === 'linux') {
+      try {
+        const cmdline = await fs.promises.readFile(path.join(this.procRoot, String(pid), 'cmdline'), 'utf8');
+        return cmdline.replace(/\0+$/, '').split('\0').join(' ');
+      } catch (error) {
+        // Fall through to ps
+      }
+    }
+
+    if (this.platform === 'win32') {
+      return '';
+    }
+
+    const output = await this.executeCommand(`ps -p ${pid} -o args=`);
+    return output.trim();
+  }
+
+  /**
+   * Find the nearest package.json and git repository root above a directory
+   */
+  findProject(dir) {
+    let current = path.resolve(dir);
+    let packageJson = null;
+    let gitRoot = null;
+
+    while (true) {
+      if (!packageJson) {
+        try {
+          packageJson = JSON.parse(fs.readFileSync(path.join(current, 'package.json'), 'utf8'));
+        } catch (error) {
+          // No (valid) package.json here
+        }
+      }
+      if (fs.existsSync(path.join(current, '.git'))) {
+        gitRoot = current;
+        break;
+      }
+
+      const parent = path.dirname(current);
+      if (parent === current) {
+        break;
+      }
+      current = parent;
+    }
+
+    const project = (packageJson && packageJson.name) || (gitRoot && path.basename(gitRoot)) || null;
+    return { project, gitRoot, packageJson };
+  }
+
   /**
    * Display ports in a formatted table
+   * Project and framework columns are shown when ports have been enriched,
+   * a service column when they have been fingerprinted.
    */
   displayPorts(ports) {
     if (ports.length === 0) {
@@ -210,9 +634,15 @@ class PortScanner {
       return;
     }
 
-    console.log('\n' + '═'.repeat(70));
-    console.log(' Port    PID       Protocol  Address     State      Command');
-    console.log('═'.repeat(70));
+    const enriched = ports.some(p => 'framework' in p || 'project' in p);
+    const identified = ports.some(p => 'fingerprint' in p);
+    const width = (enriched ? 110 : 70) + (identified ? 31 : 0);
+
+    console.log('\n' + '═'.repeat(width));
+    console.log((enriched
+      ? ' Port    PID       Protocol  Address     State      Project              Framework        '
+      : ' Port    PID       Protocol  Address     State      ') + (identified ? 'Service                        ' : '') + 'Command');
+    console.log('═'.repeat(width));
 
     for (const p of ports) {
       const port = String(p.port).padEnd(7);
@@ -220,13 +650,30 @@ class PortScanner {
       const protocol = String(p.protocol || 'TCP').padEnd(8);
       const address = String(p.address || '*').padEnd(10);
       const state = String(p.state || 'LISTENING').padEnd(10);
-      const command = p.command || p.processName || '';
+      let command = p.command || p.processName || '';
+      if (p.container) {
+        const project = p.container.composeProject ? ` [${p.container.composeProject}]` : '';
+        command = `${command || p.container.runtime} → ${p.container.name} (${p.container.image})${project}`;
+      }
+
+      if (identified) {
+        const service = p.fingerprint ? p.fingerprint.summary : '-';
+        command = `${(service.length > 30 ? service.slice(0, 29) + '…' : service).padEnd(30)} ${command}`;
+      }
 
-      console.log(` ${port} ${pid} ${protocol} ${address} ${state} ${command}`);
+      if (enriched) {
+        const project = String(p.project || '-').padEnd(20);
+        const framework = String(p.framework || '-').padEnd(16);
+        console.log(` ${port} ${pid} ${protocol} ${address} ${state} ${project} ${framework} ${command}`);
+      } else {
+        console.log(` ${port} ${pid} ${protocol} ${address} ${state} ${command}`);
+      }
     }
 
-    console.log('═'.repeat(70));
-    console.log(` Total: ${ports.length} port(s) in use\n`);
+    // Ports probed on request show up as FREE when nothing listens
+    const free = ports.filter(p => p.state === 'FREE').length;
+    console.log('═'.repeat(width));
+    console.log(` Total: ${ports.length - free} port(s) in use${free > 0 ? `, ${free} free` : ''}\n`);
   }
 
   /**
@@ -248,4 +695,7 @@ class PortScanner {
   }
 }
 
+// Built-in `common` profile; the active list comes from getConfig()
+PortScanner.COMMON_PORTS = PortConfig.DEFAULT_PROFILES.common.ports;
+
 module.exports = PortScanner;
@@ -0,0 +1,246 @@
+const fs = require('fs');
+const { InvalidArgumentError } = require('./errors');
+
+const STRATEGIES = ['up', 'nearest', 'random', 'os'];
+
+const EPHEMERAL_RANGE_FILE = '/proc/sys/net/ipv4/ip_local_port_range';
+
+// IANA dynamic range; used where the OS range can't be read
+const DEFAULT_EPHEMERAL_RANGE = { start: 49152, end: 65535 };
+
+// Ports that belong to common services and shouldn't be handed to a dev server
+const WELL_KNOWN_PORTS = [
+  1433,  // SQL Server
+  1521,  // Oracle
+  2181,  // ZooKeeper
+  2375,  // Docker API
+  2376,  // Docker API (TLS)
+  3306,  // MySQL
+  4222,  // NATS
+  5432,  // PostgreSQL
+  5672,  // RabbitMQ
+  6379,  // Redis
+  8500,  // Consul
+  9092,  // Kafka
+  9200,  // Elasticsearch
+  9300,  // Elasticsearch transport
+  11211, // Memcached
+  15672, // RabbitMQ management
+  27017  // MongoDB
+];
+
+/**
+ * Free-port search strategy
+ *
+ * Produces the ordered list of candidate ports a search should try:
+ *   up       walk upward from the start port (default)
+ *   nearest  alternate above and below the start port
+ *   random   shuffle the search range; reproducible with a seed
+ *   os       let the OS pick by binding to port 0 (no candidate list)
+ *
+ * Candidates stay within `range` when given, else within maxAttempts ports of
+ * the start port, and never include excluded ports.
+ */
+class PortSearch {
+  constructor(options = {}) {
+    this.strategy = PortSearch.parseStrategy(options.strategy || 'up');
+    this.range = options.range ? PortSearch.parseRange(options.range) : null;
+    this.seed = options.seed !== undefined && options.seed !== null ? PortSearch.parseSeed(options.seed) : null;
+    this.exclude = new Set([].concat(options.exclude || []).map(Number));
+
+    if (options.skipWellKnown) {
+      WELL_KNOWN_PORTS.forEach(port => this.exclude.add(port));
+    }
+
+    // Ranges excluded as a whole, e.g. the OS ephemeral range
+    this.excludedRanges = [];
+    if (options.skipEphemeral) {
+      this.excludedRanges.push(options.ephemeralRange || PortSearch.readEphemeralRange());
+    }
+
+    if (this.strategy === 'os' && (options.skipEphemeral || this.range)) {
+      throw new InvalidArgumentError('The "os" strategy picks from the ephemeral range and cannot be combined with a range or skipEphemeral');
+    }
+  }
+
+  /**
+   * Ports to try, in order
+   */
+  candidates(startPort, maxAttempts = 100) {
+    const { start, end } = this.bounds(startPort, maxAttempts);
+    let ports;
+
+    if (this.strategy === 'nearest') {
+      ports = PortSearch.nearest(startPort, start, end);
+    } else if (this.strategy === 'random') {
+      ports = PortSearch.shuffle(PortSearch.sequence(start, end), PortSearch.createRandom(this.seed));
+    } else {
+      // Upward from the start port, wrapping to the bottom of an explicit range
+      const from = Math.min(Math.max(startPort, start), end);
+      ports = PortSearch.sequence(from, end).concat(PortSearch.sequence(start, from - 1));
+    }
+
+    // "nearest" spans both sides of the start port; keep to maxAttempts ports
+    if (!this.range) {
+      ports = ports.slice(0, maxAttempts);
+    }
+
+    return ports.filter(port => !this.isExcluded(port));
+  }
+
+  /**
+   * Ports the search covers: the explicit range, or maxAttempts ports from the
+   * start port (both directions for "nearest"), clipped to 1-65535
+   */
+  bounds(startPort, maxAttempts = 100) {
+    if (this.range) {
+      return this.range;
+    }
+
+    if (this.strategy === 'nearest') {
+      const spread = Math.floor(maxAttempts / 2);
+      return { start: Math.max(startPort - spread, 1), end: Math.min(startPort + spread, 65535) };
+    }
+
+    return { start: startPort, end: Math.min(startPort + maxAttempts - 1, 65535) };
+  }
+
+  /**
+   * Whether a port may never be returned
+   */
+  isExcluded(port) {
+    if (this.exclude.has(port)) {
+      return true;
+    }
+    if (this.range && (port < this.range.start || port > this.range.end)) {
+      return true;
+    }
+    return this.excludedRanges.some(r => port >= r.start && port <= r.end);
+  }
+
+  /**
+   * Helper: Ports from start to end, inclusive
+   */
+  static sequence(start, end) {
+    const ports = [];
+    for (let port = start; port <= end; port++) {
+      ports.push(port);
+    }
+    return ports;
+  }
+
+  /**
+   * Helper: start, start+1, start-1, start+2, ... within [min, max]
+   */
+  static nearest(startPort, min, max) {
+    const ports = [];
+    const anchor = Math.min(Math.max(startPort, min), max);
+    ports.push(anchor);
+
+    for (let offset = 1; anchor + offset <= max || anchor - offset >= min; offset++) {
+      if (anchor + offset <= max) ports.push(anchor + offset);
+      if (anchor - offset >= min) ports.push(anchor - offset);
+    }
+    return ports;
+  }
+
+  /**
+   * Helper: Fisher-Yates shuffle driven by `random` (returns values in [0, 1))
+   */
+  static shuffle(items, random = Math.random) {
+    const result = items.slice();
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+
+  /**
+   * Seeded PRNG (mulberry32); without a seed, Math.random
+   */
+  static createRandom(seed = null) {
+    if (seed === null) {
+      return Math.random;
+    }
+
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Read the OS ephemeral port range
+   * Linux exposes it in /proc; elsewhere the IANA range is assumed.
+   */
+  static readEphemeralRange(file = EPHEMERAL_RANGE_FILE) {
+    try {
+      const [start, end] = fs.readFileSync(file, 'utf8').trim().split(/\s+/).map(Number);
+      if (start > 0 && end >= start) {
+        return { start, end };
+      }
+    } catch (error) {
+      // Not Linux, or /proc is unavailable
+    }
+    return { ...DEFAULT_EPHEMERAL_RANGE };
+  }
+
+  /**
+   * Validate a strategy name
+   */
+  static parseStrategy(strategy) {
+    const normalized = String(strategy).toLowerCase();
+    if (!STRATEGIES.includes(normalized)) {
+      throw new InvalidArgumentError(`Unknown search strategy "${strategy}" (expected ${STRATEGIES.join(', ')})`);
+    }
+    return normalized;
+  }
+
+  /**
+   * Parse a range: "3000-3999", [3000, 3999] or { start, end }
+   */
+  static parseRange(range) {
+    let bounds;
+    if (Array.isArray(range)) {
+      bounds = range;
+    } else if (typeof range === 'object') {
+      bounds = [range.start, range.end];
+    } else {
+      bounds = String(range).split('-');
+    }
+
+    const start = parseInt(bounds[0]);
+    const end = parseInt(bounds[1] !== undefined ? bounds[1] : bounds[0]);
+
+    if (isNaN(start) || isNaN(end) || start < 1 || end > 65535 || start > end) {
+      throw new InvalidArgumentError(`Invalid port range: ${Array.isArray(range) ? range.join('-') : JSON.stringify(range)}`);
+    }
+    return { start, end };
+  }
+
+  /**
+   * Seeds may be numbers or strings; strings are hashed (FNV-1a)
+   */
+  static parseSeed(seed) {
+    if (typeof seed === 'number' || /^\d+$/.test(String(seed))) {
+      return Number(seed) >>> 0;
+    }
+
+    let hash = 0x811C9DC5;
+    for (const char of String(seed)) {
+      hash ^= char.charCodeAt(0);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+  }
+}
+
+PortSearch.STRATEGIES = STRATEGIES;
+PortSearch.WELL_KNOWN_PORTS = WELL_KNOWN_PORTS;
+
+module.exports = PortSearch;
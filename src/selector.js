@@ -0,0 +1,162 @@
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const util = require('util');
+const execFilePromise = util.promisify(execFile);
+const PortScanner = require('./scanner');
+const PortPruner = require('./pruner');
+const PortResolver = require('./resolver');
+const PortConfig = require('./config');
+const { InvalidArgumentError } = require('./errors');
+
+/**
+ * Selects listening processes by port and process filters
+ *
+ *   targets  ports ("3000"), ranges ("3000-3010") and profile names ("common")
+ *   name     process name contains this (case-insensitive)
+ *   user     owner: "me", a user name or a uid
+ *   cwd      working directory at or below this directory
+ *   protocol tcp, udp or both (default: both)
+ *
+ * Filters narrow the targets; with filters only, every listener is a candidate.
+ */
+class PortSelector {
+  constructor(options = {}) {
+    this.targets = PortSelector.parseTargets([].concat(options.targets || []));
+    this.name = options.name ? String(options.name).toLowerCase() : null;
+    this.user = options.user !== undefined && options.user !== null ? String(options.user) : null;
+    this.cwd = options.cwd ? path.resolve(PortSelector.expandHome(options.cwd)) : null;
+    this.protocol = options.protocol ? PortResolver.parseProtocol(options.protocol) : 'both';
+    this.scanner = options.scanner || new PortScanner();
+
+    const empty = this.targets.ports.length === 0 && this.targets.ranges.length === 0 &&
+      this.targets.profiles.length === 0;
+    if (empty && !this.name && this.user === null && !this.cwd) {
+      throw new InvalidArgumentError('Select ports, ranges, a profile or filter by --name, --user or --cwd');
+    }
+  }
+
+  /**
+   * Find the matching listeners
+   * Returns { matched, idle }: one record per process and port (with uid, cwd,
+   * project...), and the explicitly named ports nothing listens on.
+   */
+  async select() {
+    const profiles = this.targets.profiles.map(name => this.scanner.getConfig().getProfile(name));
+    const active = this.scanner.filterByProtocol(await this.scanner.getActivePorts(), this.protocol);
+
+    const listeners = new Map();
+    for (const p of active) {
+      if (this.coversPort(p.port, profiles) && !listeners.has(`${p.pid} ${p.port}`)) {
+        listeners.set(`${p.pid} ${p.port}`, { ...p });
+      }
+    }
+
+    let records = [...listeners.values()];
+    await this.scanner.enrichPorts(records);
+
+    const stats = await new PortPruner({ scanner: this.scanner }).getProcessStats(
+      [...new Set(records.map(r => r.pid).filter(Boolean))]
+    );
+    for (const record of records) {
+      const stat = stats.get(record.pid) || {};
+      record.uid = stat.uid !== undefined ? stat.uid : null;
+      record.command = record.command || stat.name || '';
+    }
+
+    if (this.name) {
+      records = records.filter(r => r.command.toLowerCase().includes(this.name));
+    }
+    if (this.user !== null) {
+      const uid = await PortSelector.resolveUser(this.user);
+      records = records.filter(r => r.uid === uid);
+    }
+    if (this.cwd) {
+      records = records.filter(r => r.cwd && PortPruner.isInside(r.cwd, this.cwd));
+    }
+
+    const listening = new Set(active.map(p => p.port));
+    const idle = this.targets.ports.filter(port => !listening.has(port));
+
+    return { matched: records.sort((a, b) => a.port - b.port || a.pid - b.pid), idle };
+  }
+
+  /**
+   * Whether a port is among the targets; no targets means every port
+   */
+  coversPort(port, profiles) {
+    const { ports, ranges } = this.targets;
+    if (ports.length === 0 && ranges.length === 0 && profiles.length === 0) {
+      return true;
+    }
+    return ports.includes(port) ||
+      ranges.some(r => port >= r.start && port <= r.end) ||
+      profiles.some(profile => PortConfig.matches(profile, port));
+  }
+
+  /**
+   * Split targets into ports, ranges and profile names
+   */
+  static parseTargets(targets) {
+    const parsed = { ports: [], ranges: [], profiles: [] };
+
+    for (const target of targets.map(t => String(t).trim())) {
+      const match = target.match(/^(\d+)(?:-(\d+))?$/);
+      if (!match) {
+        if (!/^[\w.-]+$/.test(target)) {
+          throw new InvalidArgumentError(`Invalid port, range or profile: ${target}`);
+        }
+        parsed.profiles.push(target);
+        continue;
+      }
+
+      const start = parseInt(match[1]);
+      const end = match[2] ? parseInt(match[2]) : start;
+      if (start < 1 || end > 65535 || start > end) {
+        throw new InvalidArgumentError(`Invalid port or range: ${target}`);
+      }
+      if (match[2]) {
+        parsed.ranges.push({ start, end });
+      } else {
+        parsed.ports.push(start);
+      }
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Resolve "me", a uid or a user name to a uid
+   */
+  static async resolveUser(user) {
+    if (process.platform === 'win32') {
+      throw new InvalidArgumentError('Filtering by user is not supported on Windows');
+    }
+    if (user === 'me') {
+      return process.getuid();
+    }
+    if (/^\d+$/.test(user)) {
+      return parseInt(user);
+    }
+    if (user === os.userInfo().username) {
+      return process.getuid();
+    }
+
+    try {
+      // No shell: the name is passed to id verbatim
+      const { stdout } = await execFilePromise('id', ['-u', user]);
+      return parseInt(stdout.trim());
+    } catch (error) {
+      throw new InvalidArgumentError(`Unknown user "${user}"`);
+    }
+  }
+
+  /**
+   * Helper: Expand a leading ~ to the home directory
+   */
+  static expandHome(dir) {
+    return dir === '~' || dir.startsWith('~/') ? path.join(os.homedir(), dir.slice(1)) : dir;
+  }
+}
+
+module.exports = PortSelector;
@@ -0,0 +1,65 @@
+/**
+ * A point-in-time copy of the OS socket table
+ *
+ * Taking the snapshot runs the platform scan once; every query after that is
+ * answered from memory, so a batch of lookups costs a single `ss`/`lsof`/
+ * `netstat` call (or /proc read).
+ */
+class PortSnapshot {
+  constructor(ports, takenAt = new Date()) {
+    this.ports = ports;
+    this.takenAt = takenAt;
+    this.byPort = new Map();
+
+    for (const p of ports) {
+      if (!this.byPort.has(p.port)) {
+        this.byPort.set(p.port, []);
+      }
+      this.byPort.get(p.port).push(p);
+    }
+  }
+
+  /**
+   * Listeners on a port, optionally limited to a protocol ('tcp', 'udp' or 'both')
+   */
+  scanPort(port, protocol) {
+    const entries = this.byPort.get(port) || [];
+    return PortSnapshot.matchProtocol(entries, protocol);
+  }
+
+  /**
+   * Listeners within a port range
+   */
+  scanRange(start, end, protocol) {
+    const entries = this.ports.filter(p => p.port >= start && p.port <= end);
+    return PortSnapshot.matchProtocol(entries, protocol);
+  }
+
+  /**
+   * Listeners on any of the given ports
+   */
+  scanPorts(ports, protocol) {
+    const wanted = new Set(ports);
+    const entries = this.ports.filter(p => wanted.has(p.port));
+    return PortSnapshot.matchProtocol(entries, protocol);
+  }
+
+  /**
+   * Whether anything listens on a port
+   */
+  isInUse(port, protocol) {
+    return this.scanPort(port, protocol).length > 0;
+  }
+
+  /**
+   * Helper: Filter records by protocol; scanners report e.g. 'tcp', 'TCP' or 'udp'
+   */
+  static matchProtocol(entries, protocol) {
+    if (!protocol || protocol === 'both') {
+      return entries;
+    }
+    return entries.filter(p => String(p.protocol || 'tcp').toLowerCase().startsWith(protocol));
+  }
+}
+
+module.exports = PortSnapshot;
@@ -0,0 +1,257 @@
+const http = require('http');
+const net = require('net');
+const PortResolver = require('./resolver');
+const PortScanner = require('./scanner');
+const { InvalidArgumentError, WaitTimeoutError } = require('./errors');
+
+const CONDITIONS = ['listening', 'free'];
+const MODES = ['all', 'any'];
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+
+// Per-attempt limit for TCP connects and HTTP requests
+const PROBE_TIMEOUT = 2000;
+
+// Wildcard binds are reached over loopback
+const WILDCARD_HOSTS = ['0.0.0.0', '::', 'all'];
+
+/**
+ * Waits until ports are listening, or free
+ *
+ * Polls every `interval` until all (or, with mode "any", one) of the ports
+ * reach the state, or rejects with WaitTimeoutError after `timeout`
+ * (0 waits forever). A port counts as listening when the socket table shows
+ * a listener or binding it fails with EADDRINUSE; hosts that aren't local
+ * addresses are checked with a TCP connect instead. A bind refused with
+ * EACCES (a privileged port) proves nothing, so the socket table or a TCP
+ * connect decides; when neither can, the state is 'unknown' and the wait goes
+ * on. With `http`, a listening port must also answer a GET with an accepted
+ * status.
+ */
+class PortWaiter {
+  constructor(options = {}) {
+    this.ports = PortWaiter.parsePorts(options.ports);
+    this.until = PortWaiter.parseChoice(options.until || 'listening', CONDITIONS, 'wait condition');
+    this.mode = PortWaiter.parseChoice(options.mode || 'all', MODES, 'wait mode');
+    this.timeout = options.timeout !== undefined ? PortWaiter.parseDuration(options.timeout) : 30000;
+    this.interval = options.interval !== undefined ? PortWaiter.parseDuration(options.interval) : 250;
+    this.host = options.host || null;
+    this.http = options.http ? PortWaiter.parsePath(options.http) : null;
+    this.status = PortWaiter.parseStatus(options.status || '200-399');
+
+    if (this.http && this.until === 'free') {
+      throw new InvalidArgumentError('HTTP probing only applies when waiting for ports to be listening');
+    }
+
+    this.resolver = options.resolver || new PortResolver({ host: this.host, protocol: options.protocol });
+    this.scanner = options.scanner || new PortScanner();
+  }
+
+  /**
+   * Poll until done
+   * Resolves with { until, mode, ready, elapsed, ports: [{ port, ready, state, status, holders, readyAfter }] }
+   */
+  async wait() {
+    const started = Date.now();
+    const states = this.ports.map(port => ({
+      port, ready: false, state: null, status: null, holders: [], readyAfter: null
+    }));
+
+    for (;;) {
+      const pending = states.filter(s => !s.ready);
+      // Only the socket table is needed for local checks; read it once per round
+      const snapshot = this.host ? null : await this.scanner.createSnapshot();
+
+      await Promise.all(pending.map(async (state) => {
+        Object.assign(state, await this.check(state.port, snapshot));
+        if (state.ready) {
+          state.readyAfter = Date.now() - started;
+        }
+      }));
+
+      const elapsed = Date.now() - started;
+      const done = this.mode === 'all' ? states.every(s => s.ready) : states.some(s => s.ready);
+      if (done) {
+        return { until: this.until, mode: this.mode, ready: true, elapsed, ports: states };
+      }
+
+      if (this.timeout > 0 && elapsed >= this.timeout) {
+        const waiting = states.filter(s => !s.ready).map(s => s.port);
+        const target = this.http ? `answer HTTP on ${this.http}` : `be ${this.until}`;
+        throw new WaitTimeoutError(
+          `Timed out after ${elapsed}ms waiting for port${waiting.length > 1 ? 's' : ''} ${waiting.join(', ')} to ${target}`,
+          { until: this.until, mode: this.mode, timeout: this.timeout, elapsed, ports: states }
+        );
+      }
+
+      const remaining = this.timeout > 0 ? this.timeout - elapsed : this.interval;
+      await new Promise(resolve => setTimeout(resolve, Math.min(this.interval, remaining)));
+    }
+  }
+
+  /**
+   * Check one port once
+   * Returns { ready, state: 'listening' | 'free' | 'unknown', status, holders }
+   */
+  async check(port, snapshot = null) {
+    const holders = snapshot ? snapshot.scanPort(port, this.resolver.protocol) : [];
+    const listening = holders.length > 0 || await this.isListening(port, snapshot);
+    const state = listening === null ? 'unknown' : (listening ? 'listening' : 'free');
+    const result = { ready: false, state, status: null, holders };
+
+    if (listening === null) {
+      return result;
+    }
+    if (this.until === 'free') {
+      result.ready = !listening;
+    } else if (listening && this.http) {
+      result.status = await PortWaiter.httpStatus(this.httpHost(), port, this.http);
+      result.ready = result.status !== null && this.status.some(r => result.status >= r.start && result.status <= r.end);
+    } else {
+      result.ready = listening;
+    }
+
+    return result;
+  }
+
+  /**
+   * Whether something holds the port, judged by binding it
+   * Returns null when that can't be told (see the class comment).
+   */
+  async isListening(port, snapshot = null) {
+    const { reason } = await this.resolver.checkPort(port);
+    if (reason === 'EADDRNOTAVAIL' && this.host) {
+      // Not an address of this machine: ask over the network
+      return PortWaiter.connect(this.host, port);
+    }
+    if (reason === 'EACCES') {
+      // Privileged port: the refused bind says nothing about who holds it.
+      // check() already searched the snapshot; on Linux it lists every socket,
+      // elsewhere lsof/netstat may leave out other users' sockets.
+      if (snapshot && this.scanner.platform === 'linux') {
+        return false;
+      }
+      return this.resolver.protocol === 'tcp' ? PortWaiter.connect(this.httpHost(), port) : null;
+    }
+    return reason === 'EADDRINUSE';
+  }
+
+  /**
+   * Helper: Host to connect to or send HTTP probes to
+   */
+  httpHost() {
+    return this.host && !WILDCARD_HOSTS.includes(this.host) ? this.host : 'localhost';
+  }
+
+  /**
+   * Helper: Whether a TCP connection to host:port succeeds
+   */
+  static connect(host, port, timeout = PROBE_TIMEOUT) {
+    return new Promise((resolve) => {
+      const socket = net.connect({ host, port });
+      const finish = (connected) => {
+        socket.destroy();
+        resolve(connected);
+      };
+      socket.setTimeout(timeout, () => finish(false));
+      socket.once('connect', () => finish(true));
+      socket.once('error', () => finish(false));
+    });
+  }
+
+  /**
+   * Helper: Status code of a GET request, or null when there is no response
+   */
+  static httpStatus(host, port, path, timeout = PROBE_TIMEOUT) {
+    return new Promise((resolve) => {
+      const request = http.get({ host, port, path, timeout }, (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      });
+      request.on('timeout', () => request.destroy());
+      request.on('error', () => resolve(null));
+    });
+  }
+
+  /**
+   * Parse ports and ranges: [5432, "3000", "8000-8002"]
+   */
+  static parsePorts(ports) {
+    const list = [];
+    for (const entry of [].concat(ports === undefined ? [] : ports)) {
+      const match = String(entry).trim().match(/^(\d+)(?:-(\d+))?$/);
+      const start = match ? parseInt(match[1]) : NaN;
+      const end = match && match[2] ? parseInt(match[2]) : start;
+      if (isNaN(start) || start < 1 || end > 65535 || start > end) {
+        throw new InvalidArgumentError(`Invalid port: ${entry}`);
+      }
+      for (let port = start; port <= end; port++) {
+        list.push(port);
+      }
+    }
+
+    if (list.length === 0) {
+      throw new InvalidArgumentError('No ports to wait for');
+    }
+    return [...new Set(list)];
+  }
+
+  /**
+   * Parse a duration: numbers are milliseconds; strings take ms, s, m or h
+   * and default to seconds ("30s", "500ms", "2m", "30")
+   */
+  static parseDuration(value) {
+    if (typeof value === 'number' && value >= 0) {
+      return value;
+    }
+
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)(ms|s|m|h)?$/);
+    if (!match) {
+      throw new InvalidArgumentError(`Invalid duration: ${value} (e.g. 500ms, 30s, 2m)`);
+    }
+    return Math.round(parseFloat(match[1]) * DURATION_UNITS[match[2] || 's']);
+  }
+
+  /**
+   * Parse accepted HTTP statuses: "200", "2xx", "200-399" or a comma-separated list
+   */
+  static parseStatus(value) {
+    return String(value).split(',').map((part) => {
+      const spec = part.trim().toLowerCase();
+      let match = spec.match(/^([1-5])xx$/);
+      if (match) {
+        return { start: parseInt(match[1]) * 100, end: parseInt(match[1]) * 100 + 99 };
+      }
+
+      match = spec.match(/^(\d{3})(?:-(\d{3}))?$/);
+      if (!match || (match[2] && parseInt(match[2]) < parseInt(match[1]))) {
+        throw new InvalidArgumentError(`Invalid HTTP status: ${part} (e.g. 200, 2xx, 200-399)`);
+      }
+      return { start: parseInt(match[1]), end: parseInt(match[2] || match[1]) };
+    });
+  }
+
+  /**
+   * Helper: HTTP path to probe; `true` means "/"
+   */
+  static parsePath(value) {
+    const path = value === true ? '/' : String(value);
+    return path.startsWith('/') ? path : `/${path}`;
+  }
+
+  /**
+   * Helper: Validate one of a fixed set of names
+   */
+  static parseChoice(value, choices, what) {
+    const normalized = String(value).toLowerCase();
+    if (!choices.includes(normalized)) {
+      throw new InvalidArgumentError(`Unknown ${what} "${value}" (expected ${choices.join(' or ')})`);
+    }
+    return normalized;
+  }
+}
+
+PortWaiter.CONDITIONS = CONDITIONS;
+PortWaiter.MODES = MODES;
+
+module.exports = PortWaiter;
@@ -0,0 +1,195 @@
+const EventEmitter = require('events');
+const PortScanner = require('./scanner');
+const PortConfig = require('./config');
+const { InvalidArgumentError } = require('./errors');
+
+/**
+ * Watches listening ports and emits an event for every change:
+ *
+ *   'opened'  { type, port, pid, command, protocol, address, timestamp }
+ *   'closed'  { type, port, pid, command, protocol, address, timestamp }
+ *   'changed' { type, port, pid, command, previousPid, previousCommand, ... }
+ *   'event'   any of the above
+ *   'ready'   initial snapshot (array of port records)
+ *   'error'   scan failures; without a listener they are dropped and polling
+ *             carries on with the next tick
+ *
+ * With a `history` (PortHistory), the initial snapshot and every event are
+ * appended to the history log.
+ */
+class PortWatcher extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.scanner = options.scanner || new PortScanner();
+    this.interval = options.interval || 5000;
+    this.ports = new Set(options.ports || []);
+    this.ranges = options.ranges || [];
+    this.common = Boolean(options.common);
+    this.history = options.history || null;
+    this.snapshot = null;
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Parse watch targets such as "3000", "3000-3010" or "common"
+   */
+  static parseTargets(targets) {
+    const parsed = { ports: [], ranges: [], common: false };
+
+    for (const target of targets) {
+      if (target === 'common') {
+        parsed.common = true;
+      } else if (/^\d+-\d+$/.test(target)) {
+        const [start, end] = target.split('-').map(Number);
+        parsed.ranges.push({ start, end });
+      } else if (/^\d+$/.test(target)) {
+        parsed.ports.push(parseInt(target));
+      } else {
+        throw new InvalidArgumentError(`Invalid watch target: ${target}`);
+      }
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Check whether a port is covered by the watch targets
+   * With no targets at all, every port is watched.
+   */
+  matches(port) {
+    if (this.ports.size === 0 && this.ranges.length === 0 && !this.common) {
+      return true;
+    }
+    if (this.ports.has(port)) {
+      return true;
+    }
+    if (this.common && PortConfig.matches(this.scanner.getConfig().getProfile('common'), port)) {
+      return true;
+    }
+    return this.ranges.some(r => port >= r.start && port <= r.end);
+  }
+
+  /**
+   * Start polling. Resolves once the initial snapshot is taken.
+   */
+  async start() {
+    this.snapshot = await this.takeSnapshot();
+    await this.record({ type: 'snapshot', ports: [...this.snapshot.values()].map(p => PortWatcher.describe(p)) });
+    this.emit('ready', [...this.snapshot.values()]);
+
+    this.timer = setInterval(() => this.poll(), this.interval);
+    return this;
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Take a snapshot and emit events for anything that changed
+   */
+  async poll() {
+    // Skip a tick rather than overlap slow scans
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+
+    try {
+      const next = await this.takeSnapshot();
+      const events = PortWatcher.diff(this.snapshot, next);
+      this.snapshot = next;
+      await this.record(...events);
+
+      for (const event of events) {
+        this.emit(event.type, event);
+        this.emit('event', event);
+      }
+    } catch (error) {
+      // poll() runs from a timer nobody awaits: an unheard 'error' would throw
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', error);
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Helper: Append entries to the history log, if there is one
+   */
+  async record(...entries) {
+    if (this.history) {
+      await this.history.record(...entries);
+    }
+  }
+
+  /**
+   * Get the watched listeners keyed by port
+   */
+  async takeSnapshot() {
+    const ports = await this.scanner.getActivePorts();
+    const snapshot = new Map();
+
+    for (const p of ports) {
+      // Keep the first listener per port, matching getPortPid
+      if (this.matches(p.port) && !snapshot.has(p.port)) {
+        snapshot.set(p.port, p);
+      }
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Compare two snapshots and describe the differences
+   */
+  static diff(previous, next, timestamp = new Date().toISOString()) {
+    const events = [];
+
+    for (const [port, current] of next) {
+      const before = previous.get(port);
+      if (!before) {
+        events.push({ type: 'opened', timestamp, ...PortWatcher.describe(current) });
+      } else if (before.pid !== current.pid) {
+        events.push({
+          type: 'changed',
+          timestamp,
+          ...PortWatcher.describe(current),
+          previousPid: before.pid,
+          previousCommand: before.command || ''
+        });
+      }
+    }
+
+    for (const [port, before] of previous) {
+      if (!next.has(port)) {
+        events.push({ type: 'closed', timestamp, ...PortWatcher.describe(before) });
+      }
+    }
+
+    return events.sort((a, b) => a.port - b.port);
+  }
+
+  /**
+   * Helper: Pick the fields reported in events
+   */
+  static describe(p) {
+    return {
+      port: p.port,
+      pid: p.pid,
+      command: p.command || '',
+      protocol: p.protocol,
+      address: p.address
+    };
+  }
+}
+
+module.exports = PortWatcher;
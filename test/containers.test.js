@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+
+// A plain mock has no util.promisify.custom, so callbacks resolve with { stdout }
+jest.mock('child_process', () => ({ exec: jest.fn() }));
+
+const { exec } = require('child_process');
+const ContainerInspector = require('../src/containers');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'containers');
+const DOCKER_PS = fs.readFileSync(path.join(FIXTURES, 'docker-ps.jsonl'), 'utf8');
+const PODMAN_PS = fs.readFileSync(path.join(FIXTURES, 'podman-ps.json'), 'utf8');
+
+describe('ContainerInspector.parseContainers', () => {
+  describe('docker ps --format {{json .}}', () => {
+    const containers = ContainerInspector.parseContainers(DOCKER_PS, 'docker');
+    const byName = name => containers.find(c => c.name === name);
+
+    test('reads one container per line', () => {
+      expect(containers.map(c => c.name)).toEqual(['shop-db-1', 'minio', 'dns', 'cache']);
+      expect(containers.every(c => c.runtime === 'docker')).toBe(true);
+    });
+
+    test('reads id, image and the compose project label', () => {
+      expect(byName('shop-db-1')).toMatchObject({
+        id: '3f9c2a7d1b4e8f6a0c5d2e9b7a1f3c4d5e6f7a8b9c0d1e2f3a4b5c6d7e8f9a0b',
+        image: 'postgres:16',
+        composeProject: 'shop'
+      });
+      expect(byName('minio').composeProject).toBeNull();
+    });
+
+    test('collapses the IPv4 and IPv6 bindings of one host port', () => {
+      expect(byName('shop-db-1').ports).toEqual([
+        { hostIp: '0.0.0.0', hostPort: 5432, containerPort: 5432, protocol: 'tcp' }
+      ]);
+    });
+
+    test('expands port ranges and skips exposed-only ports', () => {
+      expect(byName('minio').ports).toEqual([
+        { hostIp: '127.0.0.1', hostPort: 9000, containerPort: 9000, protocol: 'tcp' },
+        { hostIp: '127.0.0.1', hostPort: 9001, containerPort: 9001, protocol: 'tcp' }
+      ]);
+      expect(byName('cache').ports).toEqual([]);
+    });
+
+    test('keeps bracketed IPv6 host addresses and per-protocol bindings', () => {
+      expect(byName('dns').ports).toEqual([
+        { hostIp: '[::1]', hostPort: 5353, containerPort: 53, protocol: 'udp' },
+        { hostIp: '0.0.0.0', hostPort: 5354, containerPort: 53, protocol: 'tcp' }
+      ]);
+    });
+  });
+
+  describe('podman ps --format json', () => {
+    const containers = ContainerInspector.parseContainers(PODMAN_PS, 'podman');
+    const byName = name => containers.find(c => c.name === name);
+
+    test('reads the JSON array', () => {
+      expect(containers.map(c => c.name)).toEqual(['blog_web_1', 'ws', 'idle']);
+      expect(containers.every(c => c.runtime === 'podman')).toBe(true);
+      expect(byName('blog_web_1')).toMatchObject({
+        id: '5a6b7c8d9e0f1a2b3c4d5e6f7a8b9c0d1e2f3a4b5c6d7e8f9a0b1c2d3e4f5a6b',
+        image: 'docker.io/library/nginx:alpine',
+        composeProject: 'blog'
+      });
+    });
+
+    test('defaults an empty host IP and keeps IPv6 host addresses', () => {
+      expect(byName('blog_web_1').ports).toEqual([
+        { hostIp: '0.0.0.0', hostPort: 8080, containerPort: 80, protocol: 'tcp' },
+        { hostIp: '::1', hostPort: 8443, containerPort: 443, protocol: 'tcp' }
+      ]);
+    });
+
+    test('expands port ranges', () => {
+      expect(byName('ws').ports).toEqual([
+        { hostIp: '127.0.0.1', hostPort: 17000, containerPort: 7000, protocol: 'udp' },
+        { hostIp: '127.0.0.1', hostPort: 17001, containerPort: 7001, protocol: 'udp' },
+        { hostIp: '127.0.0.1', hostPort: 17002, containerPort: 7002, protocol: 'udp' }
+      ]);
+    });
+
+    test('handles containers without published ports', () => {
+      expect(byName('idle').ports).toEqual([]);
+      expect(byName('idle').composeProject).toBeNull();
+    });
+  });
+
+  test('skips warning and malformed lines in docker output', () => {
+    const lines = DOCKER_PS.trim().split('\n');
+    const output = [
+      'WARNING: Error loading config file: /root/.docker/config.json: permission denied',
+      lines[0],
+      '{"ID":"truncated","Names":"half',
+      lines[1]
+    ].join('\n');
+
+    expect(ContainerInspector.parseContainers(output, 'docker').map(c => c.name)).toEqual(['shop-db-1', 'minio']);
+  });
+
+  test('finds the podman array behind warnings on stdout', () => {
+    const output = `time="2024-05-01T09:00:00+02:00" level=warning msg="The cgroupv2 manager is set to systemd"\n${PODMAN_PS}\n`;
+
+    expect(ContainerInspector.parseContainers(output, 'podman').map(c => c.name)).toEqual(['blog_web_1', 'ws', 'idle']);
+  });
+
+  test('returns nothing for output that is not JSON at all', () => {
+    expect(ContainerInspector.parseContainers('Cannot connect to the Docker daemon\n[warn] retrying', 'docker')).toEqual([]);
+  });
+
+  test('returns nothing for empty output', () => {
+    expect(ContainerInspector.parseContainers('', 'docker')).toEqual([]);
+    expect(ContainerInspector.parseContainers('[]\n', 'podman')).toEqual([]);
+  });
+});
+
+describe('ContainerInspector.matchPort', () => {
+  const containers = [
+    ...ContainerInspector.parseContainers(DOCKER_PS, 'docker'),
+    ...ContainerInspector.parseContainers(PODMAN_PS, 'podman')
+  ];
+
+  test('finds the container publishing a host port inside a range', () => {
+    expect(ContainerInspector.matchPort(containers, 9001).name).toBe('minio');
+    expect(ContainerInspector.matchPort(containers, 17002, 'udp').name).toBe('ws');
+  });
+
+  test('matches on protocol', () => {
+    expect(ContainerInspector.matchPort(containers, 5353, 'udp').name).toBe('dns');
+    expect(ContainerInspector.matchPort(containers, 5353, 'tcp')).toBeNull();
+    expect(ContainerInspector.matchPort(containers, 17000, 'TCP')).toBeNull();
+  });
+
+  test('ignores container-side and exposed-only ports', () => {
+    expect(ContainerInspector.matchPort(containers, 53, 'udp')).toBeNull();
+    expect(ContainerInspector.matchPort(containers, 6379)).toBeNull();
+  });
+});
+
+describe('ContainerInspector.getContainers', () => {
+  afterEach(() => {
+    exec.mockReset();
+  });
+
+  test('merges every runtime and skips the ones that fail', async () => {
+    exec.mockImplementation((command, options, callback) => {
+      if (command.startsWith('docker ')) {
+        callback(new Error('Cannot connect to the Docker daemon'));
+      } else {
+        callback(null, { stdout: PODMAN_PS, stderr: '' });
+      }
+    });
+
+    const containers = await new ContainerInspector().getContainers();
+
+    expect(exec).toHaveBeenCalledTimes(2);
+    expect(containers.map(c => `${c.runtime}:${c.name}`)).toEqual(['podman:blog_web_1', 'podman:ws', 'podman:idle']);
+  });
+
+  test('findByPort reports the container and its runtime', async () => {
+    exec.mockImplementation((command, options, callback) => {
+      callback(null, { stdout: command.startsWith('docker ') ? DOCKER_PS : '[]', stderr: '' });
+    });
+
+    const container = await new ContainerInspector().findByPort(5432);
+
+    expect(container).toMatchObject({ name: 'shop-db-1', runtime: 'docker' });
+  });
+});
+
+describe('ContainerInspector.isProxyProcess', () => {
+  test('recognises port proxies by base name', () => {
+    expect(ContainerInspector.isProxyProcess('docker-proxy')).toBe(true);
+    expect(ContainerInspector.isProxyProcess('/usr/bin/rootlessport')).toBe(true);
+    expect(ContainerInspector.isProxyProcess('node')).toBe(false);
+    expect(ContainerInspector.isProxyProcess('')).toBe(false);
+  });
+});
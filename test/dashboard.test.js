@@ -0,0 +1,51 @@
+const { PassThrough } = require('stream');
+const PortDashboard = require('../src/dashboard');
+
+function createDashboard(rows) {
+  const output = new PassThrough();
+  output.columns = 100;
+  output.rows = 20;
+  const scanner = {
+    getActivePorts: jest.fn(async () => rows),
+    enrichPorts: jest.fn(async ports => ports)
+  };
+  const killResolver = {
+    killProcess: jest.fn(async (port, pid) => ({ success: true, message: `Killed PID ${pid} on port ${port}` }))
+  };
+
+  const dashboard = new PortDashboard({ scanner, killResolver, input: new PassThrough(), output });
+  dashboard.state.rows = rows;
+  return { dashboard, killResolver };
+}
+
+describe('PortDashboard#killSelected', () => {
+  test('kills the PID of the highlighted row, not whatever holds the port first', async () => {
+    const { dashboard, killResolver } = createDashboard([
+      { port: 3000, pid: 101, protocol: 'tcp', address: '0.0.0.0', command: 'node' },
+      { port: 3000, pid: 202, protocol: 'tcp', address: '[::]', command: 'node' }
+    ]);
+    dashboard.state.selected = 1;
+
+    await dashboard.killSelected();
+
+    expect(killResolver.killProcess).toHaveBeenCalledWith(3000, 202, false, expect.objectContaining({ confirm: expect.any(Function) }));
+    expect(dashboard.state.status).toContain('Killed PID 202 on port 3000');
+  });
+
+  test('kills UDP rows through the kill resolver', async () => {
+    const { dashboard, killResolver } = createDashboard([
+      { port: 5353, pid: 303, protocol: 'udp', address: '0.0.0.0', command: 'mdns' }
+    ]);
+
+    await dashboard.killSelected();
+
+    expect(killResolver.killProcess).toHaveBeenCalledWith(5353, 303, false, expect.any(Object));
+  });
+
+  test('checks TCP and UDP holders by default', () => {
+    const dashboard = new PortDashboard({ scanner: {}, input: new PassThrough(), output: new PassThrough() });
+
+    expect(dashboard.killResolver.protocol).toBe('both');
+    expect(dashboard.resolver.protocol).toBe('tcp');
+  });
+});
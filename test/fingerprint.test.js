@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const http = require('http');
+const net = require('net');
+const PortFingerprinter = require('../src/fingerprint');
+
+const POSTGRES_SSL_REQUEST = Buffer.from([0x00, 0x00, 0x00, 0x08, 0x04, 0xd2, 0x16, 0x2f]);
+
+function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+  });
+}
+
+// Drop open connections too, so a probe's half-closed socket can't hold close() up
+function close(server) {
+  return new Promise((resolve) => {
+    server.close(resolve);
+    (server.sockets || []).forEach(socket => socket.destroy());
+  });
+}
+
+/**
+ * A TCP server that answers the first request it recognizes and hangs up on
+ * anything else, like a real service would on a foreign protocol
+ */
+function stubServer(respond) {
+  return net.createServer((socket) => {
+    socket.on('error', () => {});
+    socket.once('data', (data) => {
+      const reply = respond(data);
+      if (reply) {
+        socket.write(reply);
+      } else {
+        socket.destroy();
+      }
+    });
+  });
+}
+
+function mysqlHandshake(version) {
+  const payload = Buffer.concat([
+    Buffer.from([0x0a]),
+    Buffer.from(`${version}\0`, 'latin1'),
+    Buffer.from([0x08, 0x00, 0x00, 0x00]),   // connection id
+    Buffer.alloc(8, 0x41), Buffer.from([0])  // auth-plugin-data part 1, filler
+  ]);
+  const header = Buffer.from([payload.length & 0xff, (payload.length >> 8) & 0xff, payload.length >> 16, 0]);
+  return Buffer.concat([header, payload]);
+}
+
+describe('PortFingerprinter#identify', () => {
+  const fingerprinter = new PortFingerprinter({ timeout: 400, bannerTimeout: 100 });
+  const servers = [];
+  const ports = {};
+
+  async function start(name, server) {
+    server.sockets = new Set();
+    server.on('connection', (socket) => {
+      server.sockets.add(socket);
+      socket.once('close', () => server.sockets.delete(socket));
+    });
+    servers.push(server);
+    ports[name] = await listen(server);
+  }
+
+  beforeAll(async () => {
+    await start('http', http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/html', Server: 'stub/1.0' });
+      res.end('<html><head><title>Dev  Dashboard</title></head><body></body></html>');
+    }));
+
+    const websocket = http.createServer((req, res) => {
+      res.writeHead(426, { 'Content-Type': 'text/plain' });
+      res.end('Upgrade Required');
+    });
+    websocket.on('upgrade', (req, socket) => {
+      const accept = crypto.createHash('sha1')
+        .update(req.headers['sec-websocket-key'] + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11')
+        .digest('base64');
+      socket.end('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+    });
+    await start('websocket', websocket);
+
+    await start('redis', stubServer(data => (data.toString().startsWith('PING') ? '+PONG\r\n' : null)));
+    await start('redisAuth', stubServer(data => (data.toString().startsWith('PING')
+      ? '-NOAUTH Authentication required.\r\n'
+      : null)));
+
+    await start('postgres', stubServer(data => (data.equals(POSTGRES_SSL_REQUEST) ? 'N' : null)));
+    await start('postgresSsl', stubServer(data => (data.equals(POSTGRES_SSL_REQUEST) ? 'S' : null)));
+
+    const mysql = net.createServer(socket => socket.end(mysqlHandshake('8.0.36')));
+    await start('mysql', mysql);
+
+    await start('silent', net.createServer(socket => socket.on('error', () => {})));
+
+    // A port that was free a moment ago; nothing listens there now
+    const closed = net.createServer();
+    ports.closed = await listen(closed);
+    await close(closed);
+  });
+
+  afterAll(async () => {
+    await Promise.all(servers.map(close));
+  });
+
+  test('recognizes an HTTP server with its Server header and page title', async () => {
+    const result = await fingerprinter.identify(ports.http);
+
+    expect(result).toMatchObject({ port: ports.http, host: '127.0.0.1', protocol: 'http', tls: false });
+    expect(result.details.http).toMatchObject({ status: 200, server: 'stub/1.0', title: 'Dev Dashboard' });
+    expect(result.summary).toBe('HTTP 200 stub/1.0 "Dev Dashboard"');
+  });
+
+  test('recognizes a WebSocket endpoint that refuses plain HTTP', async () => {
+    const result = await fingerprinter.identify(ports.websocket);
+
+    expect(result.protocol).toBe('websocket');
+    expect(result.details.websocket).toEqual({ subprotocol: null });
+    expect(result.summary).toBe('WebSocket');
+  });
+
+  test('recognizes Redis by its PING reply', async () => {
+    const open = await fingerprinter.identify(ports.redis);
+    const locked = await fingerprinter.identify(ports.redisAuth);
+
+    expect(open).toMatchObject({ protocol: 'redis', details: { authRequired: false }, summary: 'Redis' });
+    expect(locked).toMatchObject({ protocol: 'redis', details: { authRequired: true }, summary: 'Redis (auth required)' });
+  });
+
+  test('recognizes PostgreSQL by its SSLRequest answer', async () => {
+    const plain = await fingerprinter.identify(ports.postgres);
+    const ssl = await fingerprinter.identify(ports.postgresSsl);
+
+    expect(plain).toMatchObject({ protocol: 'postgres', details: { ssl: false }, summary: 'PostgreSQL (SSL off)' });
+    expect(ssl).toMatchObject({ protocol: 'postgres', details: { ssl: true }, summary: 'PostgreSQL (SSL on)' });
+  });
+
+  test('recognizes MySQL from its greeting and reads the version', async () => {
+    const result = await fingerprinter.identify(ports.mysql);
+
+    expect(result).toMatchObject({ protocol: 'mysql', details: { version: '8.0.36' }, summary: 'MySQL 8.0.36' });
+  });
+
+  test('reports no response from a listener that never answers', async () => {
+    const result = await fingerprinter.identify(ports.silent);
+
+    expect(result).toMatchObject({ protocol: null, details: {}, summary: 'No response' });
+  }, 10000);
+
+  test('reports the connection error for a closed port', async () => {
+    const result = await fingerprinter.identify(ports.closed);
+
+    expect(result).toMatchObject({ protocol: null, details: { error: 'ECONNREFUSED' } });
+    expect(result.summary).toBe('No connection (ECONNREFUSED)');
+  });
+
+  test('identifyPorts fingerprints TCP records once per address and skips UDP', async () => {
+    const results = await fingerprinter.identifyPorts([
+      { port: ports.redis, protocol: 'tcp', address: '0.0.0.0' },
+      { port: ports.redis, protocol: 'tcp', address: '*' },
+      { port: ports.mysql, protocol: 'TCP', address: '127.0.0.1' },
+      { port: ports.postgres, protocol: 'udp', address: '0.0.0.0' }
+    ]);
+
+    expect([...results.keys()].sort()).toEqual([`127.0.0.1 ${ports.mysql}`, `127.0.0.1 ${ports.redis}`].sort());
+    expect(results.get(`127.0.0.1 ${ports.redis}`).protocol).toBe('redis');
+    expect(results.get(`127.0.0.1 ${ports.mysql}`).protocol).toBe('mysql');
+  });
+});
@@ -0,0 +1,142 @@
+const net = require('net');
+const PortResolver = require('../src/resolver');
+const PortScanner = require('../src/scanner');
+const PortSnapshot = require('../src/snapshot');
+const PortProbe = require('../src/probe');
+
+const RANGE = 200;
+
+function listen(port, host) {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.once('error', () => resolve(null));
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+function close(server) {
+  return new Promise(resolve => server.close(resolve));
+}
+
+async function sequentialSweep(resolver, start, end) {
+  const used = [];
+  for (let port = start; port <= end; port++) {
+    if (!await resolver.isPortAvailable(port)) {
+      used.push(port);
+    }
+  }
+  return used;
+}
+
+describe('PortResolver#getUsedPortsInRange', () => {
+  const servers = [];
+  let start;
+  let end;
+
+  beforeAll(async () => {
+    // Let the OS pick a base so the range is mostly idle, then occupy a few
+    // ports in it on different interfaces
+    const base = await listen(0, '0.0.0.0');
+    servers.push(base);
+    start = base.address().port;
+    end = Math.min(start + RANGE - 1, 65535);
+
+    for (const [offset, host] of [[17, '127.0.0.1'], [64, '::'], [128, '0.0.0.0']]) {
+      if (start + offset <= end) {
+        const server = await listen(start + offset, host);
+        if (server) servers.push(server);
+      }
+    }
+  });
+
+  afterAll(async () => {
+    await Promise.all(servers.map(close));
+  });
+
+  test('matches a sequential sweep without a snapshot', async () => {
+    const resolver = new PortResolver({ leases: null, history: null });
+
+    const sequential = await sequentialSweep(resolver, start, end);
+    const concurrent = await resolver.getUsedPortsInRange(start, end);
+
+    expect(concurrent).toEqual(sequential);
+    for (const server of servers) {
+      expect(concurrent).toContain(server.address().port);
+    }
+  }, 60000);
+
+  test('matches a sequential sweep with a socket-table snapshot, within a loose time bound', async () => {
+    const resolver = new PortResolver({ leases: null, history: null });
+    const sequential = await sequentialSweep(resolver, start, end);
+
+    const started = Date.now();
+    const snapshot = await new PortScanner().createSnapshot();
+    const concurrent = await resolver.getUsedPortsInRange(start, end, { snapshot });
+    const elapsed = Date.now() - started;
+
+    expect(concurrent).toEqual(sequential);
+    // Only guards against the sweep degrading to something pathological
+    expect(elapsed).toBeLessThan(10000);
+  }, 60000);
+
+  test('reports snapshot holders without binding', async () => {
+    const resolver = new PortResolver({ leases: null, history: null });
+    const probed = jest.spyOn(resolver, 'checkPort');
+    const held = servers[0].address().port;
+    const snapshot = new PortSnapshot([{ port: held, pid: process.pid, protocol: 'tcp', address: '0.0.0.0', command: 'node' }]);
+
+    const results = await resolver.probe.checkPorts([held, held + 1], { snapshot });
+
+    expect(results[0]).toMatchObject({ port: held, available: false, reason: 'EADDRINUSE' });
+    expect(probed).toHaveBeenCalledTimes(1);
+    expect(probed).toHaveBeenCalledWith(held + 1);
+  });
+});
+
+// The range sweep the README promises: thousands of ports well under a second
+// on Linux, where the snapshot is a /proc read. 1 s leaves room for slow CI
+// machines while still failing if the sweep goes back to sequential binds.
+const linuxOnly = process.platform === 'linux' ? describe : describe.skip;
+
+linuxOnly('getUsedPortsInRange benchmark', () => {
+  const BENCH_START = 20000;
+  const BENCH_END = 22999;
+  const BUDGET_MS = 1000;
+
+  test(`sweeps ${BENCH_END - BENCH_START + 1} ports with a /proc snapshot in under ${BUDGET_MS} ms`, async () => {
+    const resolver = new PortResolver({ leases: null, history: null });
+    const scanner = new PortScanner();
+
+    // Warm up module loading and the JIT; only the second sweep is timed
+    await resolver.getUsedPortsInRange(BENCH_START, BENCH_START + 99);
+
+    const started = process.hrtime.bigint();
+    const snapshot = await scanner.createSnapshot();
+    const used = await resolver.getUsedPortsInRange(BENCH_START, BENCH_END, { snapshot });
+    const elapsed = Number(process.hrtime.bigint() - started) / 1e6;
+
+    for (const holder of snapshot.scanRange(BENCH_START, BENCH_END, 'tcp')) {
+      expect(used).toContain(holder.port);
+    }
+    expect(elapsed).toBeLessThan(BUDGET_MS);
+  }, 30000);
+});
+
+describe('PortProbe.map', () => {
+  test('keeps input order and never exceeds the concurrency limit', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const items = Array.from({ length: 50 }, (_, i) => i);
+
+    const results = await PortProbe.map(items, 8, async (item) => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise(resolve => setTimeout(resolve, (item * 7) % 5));
+      inFlight--;
+      return item * 2;
+    });
+
+    expect(results).toEqual(items.map(i => i * 2));
+    expect(peak).toBeLessThanOrEqual(8);
+  });
+});
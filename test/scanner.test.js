@@ -0,0 +1,141 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PortScanner = require('../src/scanner');
+const { ScanError } = require('../src/errors');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'proc');
+
+// pid -> { comm, fds: { fd: link target } }
+const PROCESSES = {
+  100: { comm: 'node', fds: { 3: 'socket:[11111]', 4: 'socket:[33333]', 5: 'pipe:[999]' } },
+  200: { comm: 'postgres', fds: { 3: 'socket:[22222]', 4: 'socket:[44444]', 5: 'socket:[23232]' } },
+  300: { comm: 'dnsmasq', fds: { 3: 'socket:[55555]', 4: 'socket:[88888]', 5: 'socket:[66666]' } },
+  400: { comm: 'vite', fds: { 7: 'socket:[12121]', 8: 'socket:[99999]', 9: '/dev/null' } }
+};
+
+/**
+ * Build a fake /proc: the fixture socket tables plus pid directories
+ * whose fd entries are symlinks, as the kernel presents them
+ */
+function buildProcRoot() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'port-resolver-proc-'));
+  fs.cpSync(path.join(FIXTURES, 'net'), path.join(root, 'net'), { recursive: true });
+
+  for (const [pid, { comm, fds }] of Object.entries(PROCESSES)) {
+    fs.mkdirSync(path.join(root, pid, 'fd'), { recursive: true });
+    fs.writeFileSync(path.join(root, pid, 'comm'), `${comm}\n`);
+    for (const [fd, target] of Object.entries(fds)) {
+      fs.symlinkSync(target, path.join(root, pid, 'fd', fd));
+    }
+  }
+
+  // A process we may not inspect (no fd dir) and a non-pid entry
+  fs.mkdirSync(path.join(root, '500'));
+  fs.mkdirSync(path.join(root, 'sys'));
+  return root;
+}
+
+describe('PortScanner /proc/net parsing', () => {
+  let procRoot;
+  let scanner;
+
+  beforeAll(() => {
+    procRoot = buildProcRoot();
+    scanner = new PortScanner({ procRoot });
+  });
+
+  afterAll(() => {
+    fs.rmSync(procRoot, { recursive: true, force: true });
+  });
+
+  const find = (ports, port, protocol) => ports.filter(p => p.port === port && p.protocol === protocol);
+
+  test('keeps only listening TCP and unconnected UDP sockets', async () => {
+    const ports = await scanner.getActivePortsFromProc();
+
+    expect(ports.map(p => `${p.protocol}/${p.port}`).sort()).toEqual([
+      'tcp/3000', 'tcp/5173', 'tcp/53', 'tcp/5432', 'tcp/6666', 'tcp/8000', 'tcp/8080', 'tcp/8888',
+      'udp/53', 'udp/5353'
+    ]);
+    // The established connection to 5432 and the connected UDP socket are gone
+    expect(ports.some(p => p.port === 54321)).toBe(false);
+    expect(ports.every(p => p.state === (p.protocol === 'udp' ? 'UNCONN' : 'LISTEN'))).toBe(true);
+  });
+
+  test('decodes little-endian IPv4 addresses', async () => {
+    const ports = await scanner.getActivePortsFromProc();
+
+    expect(find(ports, 3000, 'tcp')[0].address).toBe('0.0.0.0');
+    expect(find(ports, 5432, 'tcp')[0].address).toBe('127.0.0.1');
+  });
+
+  test('decodes IPv6 addresses into the bracketed, compressed form', async () => {
+    const ports = await scanner.getActivePortsFromProc();
+
+    expect(find(ports, 8080, 'tcp')[0].address).toBe('[::]');
+    expect(find(ports, 5173, 'tcp')[0].address).toBe('[::1]');
+    expect(find(ports, 6666, 'tcp')[0].address).toBe('[::ffff:127.0.0.1]');
+    expect(find(ports, 8888, 'tcp')[0].address).toBe('[2001:db8::1]');
+    expect(find(ports, 5353, 'udp')[0].address).toBe('[::]');
+  });
+
+  test('decodeProcIPv6 only compresses runs of two or more zero groups', () => {
+    expect(scanner.decodeProcIPv6('B80D0120010000000200000003000000')).toBe('[2001:db8:0:1:0:2:0:3]');
+    expect(scanner.decodeProcIPv6('000080FE000000000100000001000000')).toBe('[fe80::1:0:1]');
+  });
+
+  test('maps socket inodes to the owning pid and command', async () => {
+    const ports = await scanner.getActivePortsFromProc();
+    const owner = (port, protocol) => {
+      const { pid, command } = find(ports, port, protocol)[0];
+      return { pid, command };
+    };
+
+    expect(owner(3000, 'tcp')).toEqual({ pid: 100, command: 'node' });
+    expect(owner(8080, 'tcp')).toEqual({ pid: 100, command: 'node' });
+    expect(owner(5432, 'tcp')).toEqual({ pid: 200, command: 'postgres' });
+    expect(owner(5173, 'tcp')).toEqual({ pid: 200, command: 'postgres' });
+    expect(owner(6666, 'tcp')).toEqual({ pid: 400, command: 'vite' });
+    expect(owner(8888, 'tcp')).toEqual({ pid: 400, command: 'vite' });
+    expect(owner(5353, 'udp')).toEqual({ pid: 300, command: 'dnsmasq' });
+  });
+
+  test('reports pid 0 for sockets no visible process owns', async () => {
+    const ports = await scanner.getActivePortsFromProc();
+
+    expect(find(ports, 8000, 'tcp')).toEqual([
+      expect.objectContaining({ pid: 0, command: '' })
+    ]);
+  });
+
+  test('keeps TCP and UDP sockets of one process on the same port apart', async () => {
+    const ports = await scanner.getActivePortsFromProc();
+
+    expect(find(ports, 53, 'tcp')).toEqual([expect.objectContaining({ pid: 300, address: '0.0.0.0' })]);
+    expect(find(ports, 53, 'udp')).toEqual([expect.objectContaining({ pid: 300, address: '0.0.0.0' })]);
+  });
+
+  test('tolerates missing IPv6 tables', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'port-resolver-proc-'));
+    try {
+      fs.mkdirSync(path.join(root, 'net'));
+      fs.copyFileSync(path.join(FIXTURES, 'net', 'tcp'), path.join(root, 'net', 'tcp'));
+      const ports = await new PortScanner({ procRoot: root }).getActivePortsFromProc();
+
+      expect(ports.map(p => p.port).sort((a, b) => a - b)).toEqual([53, 3000, 5432, 8000]);
+      expect(ports.every(p => p.pid === 0)).toBe(true);
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+
+  test('throws a ScanError when no socket table is readable', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'port-resolver-proc-'));
+    try {
+      await expect(new PortScanner({ procRoot: root }).getActivePortsFromProc()).rejects.toThrow(ScanError);
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PortSearch = require('../src/search');
+const PortResolver = require('../src/resolver');
+const PortConfig = require('../src/config');
+const { InvalidArgumentError, NoAvailablePortError } = require('../src/errors');
+
+describe('PortSearch random strategy', () => {
+  test('a seed reproduces the same order', () => {
+    const first = new PortSearch({ strategy: 'random', seed: 42 }).candidates(3000, 100);
+    const second = new PortSearch({ strategy: 'random', seed: 42 }).candidates(3000, 100);
+
+    expect(second).toEqual(first);
+    expect(first).not.toEqual(PortSearch.sequence(3000, 3099));
+    expect(first.slice().sort((a, b) => a - b)).toEqual(PortSearch.sequence(3000, 3099));
+  });
+
+  test('string seeds are stable and distinct from each other', () => {
+    const a = new PortSearch({ strategy: 'random', seed: 'my-app' }).candidates(4000, 50);
+
+    expect(new PortSearch({ strategy: 'random', seed: 'my-app' }).candidates(4000, 50)).toEqual(a);
+    expect(new PortSearch({ strategy: 'random', seed: 'other-app' }).candidates(4000, 50)).not.toEqual(a);
+    expect(PortSearch.parseSeed('123')).toBe(123);
+  });
+
+  test('stays within an explicit range and honours exclusions', () => {
+    const ports = new PortSearch({ strategy: 'random', seed: 7, range: '5000-5019', exclude: [5003, 5010] }).candidates(5000);
+
+    expect(ports).toHaveLength(18);
+    expect(ports).not.toContain(5003);
+    expect(ports).not.toContain(5010);
+    expect(ports.every(p => p >= 5000 && p <= 5019)).toBe(true);
+  });
+});
+
+describe('PortSearch nearest and up strategies', () => {
+  test('nearest alternates above and below the start port', () => {
+    expect(new PortSearch({ strategy: 'nearest' }).candidates(3000, 6)).toEqual([3000, 3001, 2999, 3002, 2998, 3003]);
+  });
+
+  test('up walks upward and wraps within a range', () => {
+    expect(new PortSearch().candidates(3000, 4)).toEqual([3000, 3001, 3002, 3003]);
+    expect(new PortSearch({ range: '3000-3004' }).candidates(3003)).toEqual([3003, 3004, 3000, 3001, 3002]);
+  });
+
+  test.each(['up', 'nearest'])('%s skips excluded ports', (strategy) => {
+    const ports = new PortSearch({ strategy, exclude: [3000, '3001'] }).candidates(3000, 10);
+
+    expect(ports).not.toContain(3000);
+    expect(ports).not.toContain(3001);
+    expect(ports.length).toBe(8);
+  });
+
+  test.each(['up', 'nearest'])('%s skips well-known service ports', (strategy) => {
+    const ports = new PortSearch({ strategy, skipWellKnown: true }).candidates(5432, 20);
+
+    expect(ports).not.toContain(5432);
+    expect(ports).toContain(5433);
+    expect(new PortSearch({ strategy }).candidates(5432, 20)).toContain(5432);
+  });
+
+  test.each(['up', 'nearest'])('%s skips the ephemeral range', (strategy) => {
+    const ephemeralRange = { start: 32768, end: 60999 };
+    const ports = new PortSearch({ strategy, skipEphemeral: true, ephemeralRange }).candidates(32760, 20);
+
+    expect(ports.length).toBeGreaterThan(0);
+    expect(ports.every(p => p < 32768 || p > 60999)).toBe(true);
+  });
+
+  test('reads the ephemeral range from the kernel setting', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'port-resolver-search-'));
+    const file = path.join(dir, 'ip_local_port_range');
+    try {
+      fs.writeFileSync(file, '32768\t60999\n');
+      expect(PortSearch.readEphemeralRange(file)).toEqual({ start: 32768, end: 60999 });
+      expect(PortSearch.readEphemeralRange(path.join(dir, 'missing'))).toEqual({ start: 49152, end: 65535 });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('rejects unknown strategies and bad ranges', () => {
+    expect(() => new PortSearch({ strategy: 'sideways' })).toThrow(InvalidArgumentError);
+    expect(() => new PortSearch({ range: '4000-3000' })).toThrow(InvalidArgumentError);
+    expect(() => new PortSearch({ strategy: 'os', skipEphemeral: true })).toThrow(InvalidArgumentError);
+  });
+});
+
+describe('PortResolver#findAvailablePort search options', () => {
+  // Every port is free unless listed; no sockets are bound
+  function resolverWithBusy(busy) {
+    const resolver = new PortResolver({ leases: null, history: null });
+    jest.spyOn(resolver, 'checkPort').mockImplementation(async (port) => ({
+      port,
+      available: !busy.includes(port),
+      reason: busy.includes(port) ? 'EADDRINUSE' : null,
+      hosts: []
+    }));
+    return resolver;
+  }
+
+  test('nearest returns the closest free port that is not excluded', async () => {
+    const resolver = resolverWithBusy([3000, 3001]);
+
+    await expect(resolver.findAvailablePort(3000, 10, { strategy: 'nearest', exclude: [2999] })).resolves.toBe(3002);
+  });
+
+  test('skips well-known and ephemeral ports', async () => {
+    const resolver = resolverWithBusy([]);
+
+    await expect(resolver.findAvailablePort(6379, 10, { skipWellKnown: true })).resolves.toBe(6380);
+    await expect(resolver.findAvailablePort(49152, 10, {
+      strategy: 'nearest',
+      skipEphemeral: true,
+      ephemeralRange: { start: 49152, end: 65535 }
+    })).resolves.toBe(49151);
+  });
+
+  test('a seeded random search picks the same port every time', async () => {
+    const options = { strategy: 'random', seed: 'ci', range: '7000-7999' };
+    const first = await resolverWithBusy([]).findAvailablePort(7000, 100, options);
+
+    await expect(resolverWithBusy([]).findAvailablePort(7000, 100, options)).resolves.toBe(first);
+  });
+
+  test('fails with NoAvailablePortError when everything is excluded', async () => {
+    const resolver = resolverWithBusy([]);
+
+    await expect(resolver.findAvailablePort(3000, 3, { exclude: [3000, 3001, 3002] })).rejects.toThrow(NoAvailablePortError);
+  });
+});
+
+describe('PortResolver#findPortForFramework', () => {
+  test('skips preferred ports leased to someone else', async () => {
+    const leases = { getLeasedPorts: async () => new Set([3000, 4000]) };
+    const resolver = new PortResolver({ leases, history: null, config: PortConfig.defaults() });
+    jest.spyOn(resolver, 'checkPort').mockImplementation(async port => ({ port, available: true, reason: null, hosts: [] }));
+
+    await expect(resolver.findPortForFramework('Unknown')).resolves.toBe(5000);
+  });
+
+  test('falls back to a search that also skips leased ports', async () => {
+    const leases = { getLeasedPorts: async () => new Set([3000, 3001]) };
+    const resolver = new PortResolver({ leases, history: null, config: PortConfig.defaults() });
+    jest.spyOn(resolver, 'checkPort').mockImplementation(async port => ({
+      port,
+      available: ![4000, 5000, 8000].includes(port),
+      reason: null,
+      hosts: []
+    }));
+
+    await expect(resolver.findPortForFramework('Unknown')).resolves.toBe(3002);
+  });
+});
@@ -0,0 +1,60 @@
+const PortWaiter = require('../src/waiter');
+const PortSnapshot = require('../src/snapshot');
+const { WaitTimeoutError } = require('../src/errors');
+
+// A privileged port as an unprivileged user sees it: every bind is refused
+function createWaiter(options = {}) {
+  const { platform = 'linux', protocol = 'tcp', listeners = [], ...rest } = options;
+  const resolver = {
+    protocol,
+    checkPort: jest.fn(async port => ({ port, available: false, reason: 'EACCES', hosts: [] }))
+  };
+  const scanner = {
+    platform,
+    createSnapshot: jest.fn(async () => new PortSnapshot(listeners))
+  };
+  return new PortWaiter({ ports: [80], resolver, scanner, ...rest });
+}
+
+describe('PortWaiter with binds refused by EACCES', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a port the Linux socket table shows no listener on is free', async () => {
+    const waiter = createWaiter({ until: 'free' });
+    const snapshot = await waiter.scanner.createSnapshot();
+
+    await expect(waiter.check(80, snapshot)).resolves.toMatchObject({ ready: true, state: 'free' });
+  });
+
+  test('a listener in the socket table keeps the port listening', async () => {
+    const nginx = { port: 80, pid: 1, protocol: 'tcp', address: '0.0.0.0', command: 'nginx' };
+    const waiter = createWaiter({ until: 'free', listeners: [nginx] });
+    const snapshot = await waiter.scanner.createSnapshot();
+
+    await expect(waiter.check(80, snapshot)).resolves.toMatchObject({ ready: false, state: 'listening', holders: [nginx] });
+  });
+
+  test('without a complete socket table, TCP ports are checked by connecting', async () => {
+    const connect = jest.spyOn(PortWaiter, 'connect').mockResolvedValue(true);
+    const waiter = createWaiter({ until: 'free', platform: 'darwin' });
+    const snapshot = await waiter.scanner.createSnapshot();
+
+    await expect(waiter.check(80, snapshot)).resolves.toMatchObject({ ready: false, state: 'listening' });
+    expect(connect).toHaveBeenCalledWith('localhost', 80);
+  });
+
+  test('a UDP port nothing can check is unknown and never ready', async () => {
+    const waiter = createWaiter({ until: 'free', platform: 'darwin', protocol: 'udp' });
+    const snapshot = await waiter.scanner.createSnapshot();
+
+    await expect(waiter.check(80, snapshot)).resolves.toMatchObject({ ready: false, state: 'unknown' });
+  });
+
+  test('waiting for an unknown port to be free times out instead of returning at once', async () => {
+    const waiter = createWaiter({ until: 'free', platform: 'darwin', protocol: 'udp', timeout: 100, interval: 20 });
+
+    await expect(waiter.wait()).rejects.toThrow(WaitTimeoutError);
+  });
+});
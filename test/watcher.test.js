@@ -0,0 +1,46 @@
+const PortWatcher = require('../src/watcher');
+const { ScanError } = require('../src/errors');
+
+function stubScanner(scans) {
+  return {
+    getActivePorts: jest.fn(async () => {
+      const next = scans.shift();
+      if (next instanceof Error) {
+        throw next;
+      }
+      return next;
+    })
+  };
+}
+
+const listener = (port, pid, command) => ({ port, pid, command, protocol: 'tcp', address: '0.0.0.0' });
+
+describe('PortWatcher#poll', () => {
+  test('a failed scan without an error listener does not throw and polling carries on', async () => {
+    const scanner = stubScanner([[], new ScanError('ss failed'), [listener(3000, 10, 'node')]]);
+    const watcher = new PortWatcher({ scanner, ports: [3000] });
+    const opened = jest.fn();
+    watcher.on('opened', opened);
+
+    await watcher.start();
+    watcher.stop();
+    await expect(watcher.poll()).resolves.toBeUndefined();
+    await watcher.poll();
+
+    expect(opened).toHaveBeenCalledWith(expect.objectContaining({ type: 'opened', port: 3000, pid: 10 }));
+  });
+
+  test('a failed scan is reported to error listeners', async () => {
+    const failure = new ScanError('ss failed');
+    const watcher = new PortWatcher({ scanner: stubScanner([[], failure]) });
+    const onError = jest.fn();
+    watcher.on('error', onError);
+
+    await watcher.start();
+    watcher.stop();
+    await watcher.poll();
+
+    expect(onError).toHaveBeenCalledWith(failure);
+    expect(watcher.polling).toBe(false);
+  });
+});